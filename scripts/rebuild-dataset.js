@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+// Rebuild a dataset ZIP offline from the raw takes inside it (exported with "Include raw takes"). The takes are cut
+// again from log.jsonl and packaged by the same createDatasetBuilder the app uses, with the export settings the ZIP
+// was built with unless they are overridden:
+//
+//   node scripts/rebuild-dataset.js dataset.zip [-o out.zip] [--settings settings.json] [--set key=value ...]
+//
+// WAV takes (the app's sample-accurate capture) are decoded here. Takes in other formats (MediaRecorder WebM / MP4),
+// and WAV takes at another rate than the export's, are decoded and resampled with ffmpeg, which must then be on the
+// PATH (or given with --ffmpeg).
+import { readFileSync, writeFileSync } from "node:fs";
+import { spawnSync } from "node:child_process";
+import { parseArgs } from "node:util";
+import { readZip, decodeWav, takeFromRawEntry, createDatasetBuilder, DEFAULT_EXPORT_SETTINGS } from "../src/nb-tts-utils.js";
+
+const USAGE = "Usage: node scripts/rebuild-dataset.js dataset.zip [-o out.zip] [--settings settings.json] [--set key=value ...] [--ffmpeg path]";
+
+// "key=value" overrides of export settings; values are read as JSON where they parse (numbers, booleans), else as text
+function parseOverrides(pairs = []) {
+  return Object.fromEntries(pairs.map((pair) => {
+    const eq = pair.indexOf("=");
+    const key = pair.slice(0, eq);
+    if (eq < 1 || !(key in DEFAULT_EXPORT_SETTINGS)) throw new Error(`--set ${pair}: expected key=value with one of ${Object.keys(DEFAULT_EXPORT_SETTINGS).join(", ")}`);
+    const value = pair.slice(eq + 1);
+    try { return [key, JSON.parse(value)]; } catch { return [key, value]; }
+  }));
+}
+
+// Mono PCM at sampleRate
+function decodeTake(bytes, mimeType, sampleRate, ffmpeg) {
+  if (String(mimeType).startsWith("audio/wav")) {
+    const wav = decodeWav(bytes);
+    if (wav.sampleRate === sampleRate) return wav.pcm;
+  }
+  const out = spawnSync(ffmpeg, ["-v", "error", "-i", "pipe:0", "-f", "f32le", "-ac", "1", "-ar", String(sampleRate), "pipe:1"], { input: bytes, maxBuffer: 2 ** 31 });
+  if (out.error) throw new Error(`ffmpeg is needed to decode ${mimeType} takes or resample them (${out.error.message})`);
+  if (out.status !== 0) throw new Error(`ffmpeg failed: ${out.stderr.toString().trim()}`);
+  return new Float32Array(out.stdout.buffer.slice(out.stdout.byteOffset, out.stdout.byteOffset + out.stdout.byteLength));
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: { out: { type: "string", short: "o" }, settings: { type: "string" }, set: { type: "string", multiple: true }, ffmpeg: { type: "string", default: "ffmpeg" }, help: { type: "boolean", short: "h" } },
+  });
+  if (values.help || positionals.length !== 1) { console.log(USAGE); process.exitCode = values.help ? 0 : 1; return; }
+  const overrides = parseOverrides(values.set);
+  const input = positionals[0];
+  const entries = await readZip(new Blob([readFileSync(input)]));
+  const readText = async (path) => (entries[path] ? new TextDecoder().decode(await entries[path].read()) : null);
+  const readJson = async (path) => JSON.parse((await readText(path)) ?? "null");
+
+  const manifest = await readJson("manifest.json");
+  const project = await readJson("project.json");
+  const rawTakes = await readJson("takes.json");
+  if (!manifest) throw new Error(`${input} has no manifest.json - it isn't a dataset built by the prompter.`);
+  if (!rawTakes?.length) throw new Error(`${input} has no raw takes - build it with "Include raw takes" enabled.`);
+  if (!project?.prompts) throw new Error(`${input} has no project.json with prompts - rebuild it from a newer export.`);
+
+  const settings = { ...DEFAULT_EXPORT_SETTINGS, ...manifest.export_settings, ...(values.settings ? JSON.parse(readFileSync(values.settings, "utf8")) : {}), ...overrides };
+  const log = ((await readText("log.jsonl")) ?? "").split("\n").filter((l) => l.trim()).map((l) => JSON.parse(l));
+  const qc = await readJson("qc_report.json");
+  const sessions = [];
+  for (const t of qc?.room_tone ?? []) {
+    if (!entries[t.file]) continue;
+    const blob = new Blob([await entries[t.file].read()], { type: "audio/wav" });
+    sessions.push({ id: t.session_id, calibration: { blob, noiseFloorDbfs: t.noise_floor_dbfs, peakDbfs: t.peak_dbfs, tooNoisy: t.too_noisy, measuredAt: t.measured_at } });
+  }
+  const speakerJson = await readJson("speaker.json");
+  let speakerProfile = null;
+  if (speakerJson) {
+    const { speaker_id: _id, consent, updated_at: updatedAt, ...profile } = speakerJson;
+    speakerProfile = { profile, consent: consent && { version: consent.version, text: consent.text, acceptedAt: consent.accepted_at }, updatedAt };
+  }
+  // a rebuilt delta export still continues the numbering, clip names and timeline of the export it extended
+  const continueFrom = manifest.extends && {
+    exportId: manifest.extends.export_id, generatedAt: manifest.extends.generated_at, clipCount: manifest.first_clip_number - 1, timelineEndSec: manifest.timeline.start_sec,
+    names: manifest.extends.clip_names ?? [],
+  };
+  if (continueFrom && !manifest.extends.clip_names) console.error("warning: this delta export doesn't list the clip names it continued from; names without the clip number may repeat earlier ones");
+  const { prompts, ...projectFields } = project;
+  const builder = createDatasetBuilder({
+    settings, sentences: prompts, log, review: project.review ?? {}, userCode: manifest.user_code, projectName: manifest.project, scriptId: manifest.script_id,
+    sessions, exportId: `exp-${Date.now().toString(36)}`, continueFrom, speakerProfile, project: projectFields, assignment: manifest.assignment ?? null,
+  });
+
+  // takes.json entries whose audio isn't in the ZIP are left out, as when the app opens it
+  const missing = rawTakes.filter((e) => !entries[e.file]);
+  for (const e of missing) console.error(`warning: take ${e.key} is listed in takes.json but ${e.file} is missing - skipped`);
+  const takes = rawTakes.filter((e) => entries[e.file]).sort((a, b) => new Date(a.started_at) - new Date(b.started_at));
+  for (const [i, entry] of takes.entries()) {
+    const bytes = await entries[entry.file].read();
+    const pcm = decodeTake(bytes, entry.mime_type, builder.sampleRate, values.ffmpeg);
+    const clips = builder.addTake(takeFromRawEntry(entry), pcm, { bytes, mimeType: entry.mime_type });
+    console.error(`take ${i + 1}/${takes.length} ${entry.file}: ${clips} clips written`);
+  }
+  const result = await builder.finish();
+  if (!result) throw new Error("Every clip has been rejected in the review or belongs to a skipped sentence - nothing to export.");
+  const out = values.out ?? input.replace(/(\.zip)?$/i, "_rebuilt.zip");
+  writeFileSync(out, Buffer.from(await result.blob.arrayBuffer()));
+  console.log(`${out}: ${result.manifest.clips} clips, ${result.report.summary.flagged} flagged by QC`);
+}
+
+main().catch((err) => { console.error(err.message); process.exitCode = 1; });
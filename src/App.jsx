@@ -1,12 +1,18 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import { ArrowLeft, ArrowRight, Upload, Mic, Square, Download, RefreshCcw, StopCircle, Users, AudioLines, Settings } from "lucide-react";
-import JSZip from "jszip";
+import { ArrowLeft, ArrowRight, Pencil, SkipForward, UserRound, Upload, FolderOpen, ChartColumn, ClipboardList, Mic, Square, Download, RefreshCcw, StopCircle, Users, AudioLines, Settings, Play, Check, X, Star, AlertTriangle } from "lucide-react";
+import {
+  DEFAULT_EXPORT_SETTINGS, EXPORT_SAMPLE_RATES, exportAudioOptions, EXPORT_BIT_DEPTHS, EXPORT_PROFILES, CLIP_LEVEL,
+  takeKey, toDb, quantizePcm, arrayBufferToWavBlob, encodeAudio, createAudioStream, fixedResiduals, concatFloat32,
+  NAV_ACTIONS, segmentTakeByLog, segmentTakeWithKeys, takeSegmentsFromLog, refineSegments, cutTake, selectSegmentsForExport, analyzeClip, qcFlags,
+  integratedLoudness, truePeakDbtp, normalizationGainDb, normalizeSegments,
+  clipBaseName, uniqueName, masterPath, profileClipPath, profileIndexFiles, crc32, crc32Combine, createZipWriter,
+  readZip, parseMetadataCsv, datasetImportTakes, assembleTakePcm, rawTakePath, rawTakeEntry, takeFromRawEntry, decodeWav,
+} from "./nb-tts-utils.js";
 
 // --- Utility helpers --------------------------------------------------------
 const nowIso = () => new Date().toISOString();
 
 const randomCode = () => Math.random().toString(36).slice(2, 8).toUpperCase();
-const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
 
 // local persistence helpers (per Code + per Script)
 const LS_KEY_PREFIX = "tts_prompter_v1"; // namespace
@@ -28,6 +34,98 @@ function persistIndex({ code, scriptId, index }) {
   state.lastScriptId = scriptId;
   saveCodeState(code, state);
 }
+// review decisions: status per segment key ('accepted' | 'rejected') and the best segment key per sentence index
+function getSavedReview({ code, scriptId }) { const state = loadCodeState(code); return state?.reviews?.[scriptId] ?? { status: {}, best: {} }; }
+function persistReview({ code, scriptId, review }) {
+  const state = loadCodeState(code);
+  state.reviews = state.reviews || {};
+  state.reviews[scriptId] = review;
+  saveCodeState(code, state);
+}
+// in-app corrections, kept in the script snapshot so the script hash (and its saved index and takes) stays that of the
+// uploaded file: text { [idx]: { from, to } } and skipped { [idx]: { reason, text, at } }. Each only applies while the
+// parsed sentence still reads from/text, so re-parsing with other options can't attach it to the wrong sentence.
+const EMPTY_SCRIPT_EDITS = { text: {}, skipped: {} };
+const SKIP_REASONS = { typo: "Typo", unpronounceable: "Unpronounceable", offensive: "Offensive", duplicate: "Duplicate" };
+function getScriptEdits({ code, scriptId }) { const state = loadCodeState(code); return { ...EMPTY_SCRIPT_EDITS, ...state?.scripts?.[scriptId]?.edits }; }
+function applyScriptEdits(sentences, edits = EMPTY_SCRIPT_EDITS) {
+  return sentences.map((s, i) => {
+    const edit = edits.text?.[i];
+    const skip = edits.skipped?.[i];
+    const edited = edit && edit.from === s.text ? { ...s, text: edit.to, originalText: s.text } : s;
+    return skip && skip.text === s.text ? { ...edited, skipped: skip.reason, skippedAt: skip.at } : edited;
+  });
+}
+// sentence progress per script: retake marks { [idx]: markedAt } set by the reader, and the status counts of the last
+// computed state (shown in Resume… without loading the recordings)
+function getSavedStatus({ code, scriptId }) { const state = loadCodeState(code); return { retakes: {}, counts: null, ...state?.statuses?.[scriptId] }; }
+function persistStatus({ code, scriptId, status }) {
+  const state = loadCodeState(code);
+  state.statuses = state.statuses || {};
+  state.statuses[scriptId] = { ...state.statuses[scriptId], ...status };
+  saveCodeState(code, state);
+}
+// dataset exports per script, newest last; each entry is cumulative over the exports it extends (takes, numbering,
+// timeline), so a delta export only needs the latest one
+const EXPORT_HISTORY_LIMIT = 10;
+function getExportHistory({ code, scriptId }) { const state = loadCodeState(code); return state?.exports?.[scriptId] ?? []; }
+function persistExport({ code, scriptId, entry }) {
+  const state = loadCodeState(code);
+  state.exports = state.exports || {};
+  const history = (state.exports[scriptId] || []).filter((e) => e.id !== entry.id);
+  state.exports[scriptId] = [...history, entry].slice(-EXPORT_HISTORY_LIMIT);
+  saveCodeState(code, state);
+}
+// settings are per browser, not per Code
+function loadSettings(key, defaults) { try { return { ...defaults, ...JSON.parse(localStorage.getItem(key) || "{}") }; } catch { return { ...defaults }; } }
+function saveSettings(key, settings) { try { localStorage.setItem(key, JSON.stringify(settings)); } catch { /* storage full or disabled */ } }
+const RECORDING_SETTINGS_KEY = "tts_recording_settings";
+const DEFAULT_RECORDING_SETTINGS = {
+  calibrateOnSession: true, // record room tone when a session starts
+  calibrationSec: 3,
+  maxNoiseFloorDbfs: -50,   // warn when the room tone is louder than this
+};
+const EXPORT_SETTINGS_KEY = "tts_export_settings";
+// optional upload of every take to an ingest endpoint (see "Take upload" below); empty URL = off
+const UPLOAD_SETTINGS_KEY = "tts_upload_settings";
+const DEFAULT_UPLOAD_SETTINGS = {
+  ingestUrl: "",
+  ingestToken: "", // sent as "Authorization: Bearer <token>" when set
+  chunkKb: 1024,
+};
+// speaker profile form: which fields to ask for and the consent text the speaker confirms (bump the version when the
+// text changes, so earlier confirmations no longer count)
+const SPEAKER_SETTINGS_KEY = "tts_speaker_settings";
+const DEFAULT_SPEAKER_SETTINGS = {
+  fields: [
+    { key: "age_range", label: "Age range", options: ["18-29", "30-44", "45-59", "60+"] },
+    { key: "gender", label: "Gender", options: ["female", "male", "non-binary", "prefer not to say"] },
+    { key: "dialect_region", label: "Dialect region", options: ["Østlandet", "Sørlandet", "Vestlandet", "Trøndelag", "Nord-Norge", "other"] },
+    { key: "native_language", label: "Native language", options: [] },
+    { key: "mic_setup", label: "Microphone setup", options: [] },
+  ],
+  consentVersion: "1",
+  consentText: "I agree that my recordings, together with the profile above, may be used to build and publish speech datasets. I can withdraw my consent by contacting the project coordinator.",
+};
+// Fields are edited as text, one per line: "key | Label | option, option" (no options = free text)
+function parseSpeakerFields(text) {
+  const fields = [];
+  for (const line of splitLines(text)) {
+    const [rawKey = "", label = "", options = ""] = line.split("|").map((p) => p.trim());
+    const key = rawKey.toLowerCase().replace(/[^a-z0-9_]+/g, "_").replace(/^_+|_+$/g, "");
+    if (!key || fields.some((f) => f.key === key)) continue;
+    fields.push({ key, label: label || rawKey, options: options ? options.split(",").map((o) => o.trim()).filter(Boolean) : [] });
+  }
+  return fields;
+}
+const formatSpeakerFields = (fields) => fields.map((f) => [f.key, f.label, f.options.join(", ")].join(" | ").replace(/ \| $/, "")).join("\n");
+// speaker profile per Code: { profile: { [key]: value }, consent: { version, text, acceptedAt } | null, updatedAt }
+function getSpeakerProfile(code) { const state = loadCodeState(code); return state?.speaker ?? { profile: {}, consent: null }; }
+function persistSpeakerProfile({ code, speaker }) {
+  const state = loadCodeState(code);
+  state.speaker = speaker;
+  saveCodeState(code, state);
+}
 function getSavedIndex({ code, scriptId }) { const state = loadCodeState(code); return state?.indices?.[scriptId] ?? 0; }
 function getLastScriptForCode(code) {
   const state = loadCodeState(code);
@@ -48,6 +146,223 @@ function listScriptsForCode(code) {
   return out;
 }
 
+// IndexedDB persistence for sessions, take audio and the action log (per Code + per Script).
+// localStorage is too small for audio blobs, so recordings live here and survive reloads/crashes.
+const IDB_NAME = "tts_prompter_v1";
+const IDB_VERSION = 2; // 2: uploads
+let dbPromise = null;
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB not available")); return; }
+    const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const [name, opts] of [["sessions", { keyPath: "id" }], ["takes", { keyPath: "key" }], ["log", { autoIncrement: true }], ["uploads", { keyPath: "key" }]]) {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, opts).createIndex("byScript", ["code", "scriptId"]);
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+function idbRequest(req) { return new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); }); }
+async function idbPut(storeName, value) {
+  try { const db = await openDb(); await idbRequest(db.transaction(storeName, "readwrite").objectStore(storeName).put(value)); }
+  catch (e) { console.error(`IndexedDB write to "${storeName}" failed`, e); }
+}
+async function idbGet(storeName, key) {
+  try { const db = await openDb(); return await idbRequest(db.transaction(storeName).objectStore(storeName).get(key)); }
+  catch (e) { console.error(`IndexedDB read from "${storeName}" failed`, e); return undefined; }
+}
+async function idbGetAll(storeName) {
+  try { const db = await openDb(); return await idbRequest(db.transaction(storeName).objectStore(storeName).getAll()); }
+  catch (e) { console.error(`IndexedDB read from "${storeName}" failed`, e); return []; }
+}
+async function idbGetByScript(storeName, { code, scriptId }) {
+  try { const db = await openDb(); return await idbRequest(db.transaction(storeName).objectStore(storeName).index("byScript").getAll([code, scriptId])); }
+  catch (e) { console.error(`IndexedDB read from "${storeName}" failed`, e); return []; }
+}
+function persistSession({ code, scriptId, session }) { return idbPut("sessions", { code, scriptId, id: session.id, start: session.start, calibration: session.calibration }); }
+function persistTake({ code, scriptId, take }) { return idbPut("takes", { ...take, code, scriptId, key: takeKey(take) }); }
+function persistLogEntry({ code, scriptId, entry }) { return idbPut("log", { code, scriptId, entry }); }
+// Rebuild sessions (with their takes) and the log for a Code + Script, both in chronological order. The journal is the
+// source of truth for which sessions exist: one whose record was never written still gets its takes back.
+async function loadRecordings({ code, scriptId }) {
+  const [sessionRows, takeRows, logRows] = await Promise.all(["sessions", "takes", "log"].map((s) => idbGetByScript(s, { code, scriptId })));
+  const log = logRows.map((r) => r.entry);
+  const journal = replayJournal(log);
+  const sessions = sessionRows.map(({ id, start, calibration }) => ({ id, start, calibration, takes: [] }));
+  for (const s of journal.sessions) if (!sessions.some((x) => x.id === s.id)) sessions.push({ ...s, takes: [] });
+  sessions.sort((a, b) => new Date(a.start) - new Date(b.start));
+  const byId = new Map(sessions.map((s) => [s.id, s]));
+  takeRows.sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+  for (const { key: _key, code: _code, scriptId: _scriptId, ...take } of takeRows) byId.get(take.sessionId)?.takes.push(take);
+  return { sessions, log, journal };
+}
+// Replay the journal (the persisted log, oldest first) into what it implies: the sessions started, the prompter's last
+// position, and takes that were started but never stopped (the tab was closed or crashed mid-take, so their audio was
+// never stored). Issues already acknowledged by a journal_issue_resolved entry are left out.
+function replayJournal(entries) {
+  const sessions = [];
+  const open = new Map(); // sessionId -> record_start entry of the take in progress
+  const issues = [];
+  let index = null;
+  const unstopped = (e) => ({ kind: "missing_record_stop", sessionId: e.sessionId ?? null, ts: e.ts, index: e.index ?? null });
+  for (const e of entries) {
+    if (e.action === "session_started" && !sessions.some((s) => s.id === e.sessionId)) sessions.push({ id: e.sessionId, start: e.ts });
+    else if (e.action === "record_start") {
+      if (open.has(e.sessionId)) issues.push(unstopped(open.get(e.sessionId)));
+      open.set(e.sessionId, e);
+      if (Number.isFinite(e.index)) index = e.index;
+    } else if (e.action === "record_stop") open.delete(e.sessionId);
+    else if (NAV_ACTIONS.includes(e.action) && Number.isFinite(e.to)) index = e.to;
+  }
+  issues.push(...[...open.values()].map(unstopped));
+  const resolved = new Set(entries.filter((e) => e.action === "journal_issue_resolved").map((e) => e.recordStart));
+  return { sessions, index, issues: issues.filter((i) => !resolved.has(i.ts)) };
+}
+async function countTakesForScript({ code, scriptId }) {
+  try { const db = await openDb(); return await idbRequest(db.transaction("takes").objectStore("takes").index("byScript").count([code, scriptId])); }
+  catch { return 0; }
+}
+
+// --- Take upload -----------------------------------------------------------------
+// With an ingest URL set, every take is queued for upload when it is stored (record_stop): a JSON request announces it
+// with its events and the speaker Code, then the audio follows in chunks, each answered with how many bytes the
+// receiver holds, so an interrupted upload resumes where it stopped. The queue lives in IndexedDB ("uploads", keyed
+// like the take) and survives reloads and lost connections; failed attempts are retried with backoff, until the
+// receiver rejects the take outright. The request format is documented in the README.
+const UPLOAD_RETRY_BASE_MS = 5000;
+const UPLOAD_RETRY_MAX_MS = 10 * 60 * 1000;
+const isHttpUrl = (text) => { try { return /^https?:$/.test(new URL(text).protocol); } catch { return false; } };
+const uploadRetryDelayMs = (attempts) => Math.min(UPLOAD_RETRY_MAX_MS, UPLOAD_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+// chunks go to <ingest URL>/<upload id>, keeping any query string (e.g. a project key)
+function uploadChunkUrl(ingestUrl, uploadId) {
+  const url = new URL(ingestUrl);
+  url.pathname = `${url.pathname.replace(/\/+$/, "")}/${encodeURIComponent(uploadId)}`;
+  return url.href;
+}
+// The take's own log entries: its session's entries from the start of the take up to its record_stop
+function takeEvents(take, log) {
+  const events = [];
+  for (const e of log) {
+    if (e.sessionId !== take.sessionId || !(e.ts >= take.startedAt)) continue;
+    events.push(e);
+    if (e.action === "record_stop") break;
+  }
+  return events;
+}
+// The sentences (as read) the take's events show, so the receiver needn't have the script
+function takePrompts(events, sentences) {
+  const indices = [...new Set(events.flatMap((e) => [e.index, e.to]).filter((i) => Number.isInteger(i) && sentences[i]))].sort((a, b) => a - b);
+  return indices.map((i) => ({ index: i, id: sentences[i].id ?? null, text: sentences[i].text }));
+}
+const permanentUploadError = (message) => Object.assign(new Error(message), { permanent: true });
+
+// POST one request to the ingest endpoint; returns the receiver's byte count (fallback when it sends none). Timeouts,
+// 408/429 and server errors are worth retrying, other refusals are not.
+async function postToIngest(url, { settings, headers, body, fallbackReceived }) {
+  let res;
+  try { res = await fetch(url, { method: "POST", headers: { ...headers, ...(settings.ingestToken ? { Authorization: `Bearer ${settings.ingestToken}` } : {}) }, body }); }
+  catch (e) { throw new Error(`Network error: ${e.message}`); }
+  if (!res.ok) {
+    const message = `${res.status} ${res.statusText || "error"} from ${url}`;
+    throw res.status >= 500 || res.status === 408 || res.status === 429 ? new Error(message) : permanentUploadError(message);
+  }
+  const reply = await res.json().catch(() => ({}));
+  return Number.isInteger(reply?.received) ? reply.received : fallbackReceived;
+}
+
+async function sendTake({ entry, take, events, prompts, settings, onProgress }) {
+  const { file: _file, ...takeInfo } = rawTakeEntry(take, null, entry.mimeType);
+  const chunkBytes = Math.max(64, settings.chunkKb) * 1024;
+  let received = await postToIngest(settings.ingestUrl, {
+    settings,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ upload_id: entry.uploadId, speaker_code: entry.code, script_id: entry.scriptId, project: entry.projectName, take: takeInfo, events, prompts, size: entry.size, chunk_size: chunkBytes }),
+    fallbackReceived: 0,
+  });
+  while (received < entry.size) {
+    const end = Math.min(entry.size, received + chunkBytes);
+    const next = await postToIngest(uploadChunkUrl(settings.ingestUrl, entry.uploadId), {
+      settings,
+      headers: { "Content-Type": "application/octet-stream", "Content-Range": `bytes ${received}-${end - 1}/${entry.size}` },
+      body: take.blob.slice(received, end),
+      fallbackReceived: end,
+    });
+    if (next <= received) throw new Error(`The receiver did not take bytes ${received}-${end - 1}`);
+    received = Math.min(entry.size, next);
+    onProgress(received);
+  }
+}
+
+// The persistent queue: one entry per take ({ key, code, scriptId, uploadId, size, status: pending | uploading | done |
+// failed, sent, attempts, nextAttemptAt, error, ... }), worked through oldest first while online. onChange gets every
+// updated entry; start() returns the cleanup.
+function createUploadQueue({ getSettings, onChange }) {
+  let running = false;
+  let again = false;
+  let timer = null;
+  const save = async (entry) => { await idbPut("uploads", entry); onChange(entry); return entry; };
+
+  async function uploadOne(entry, settings) {
+    let current = await save({ ...entry, status: "uploading", attempts: entry.attempts + 1, error: null });
+    try {
+      const take = await idbGet("takes", entry.key);
+      if (!take?.blob) throw permanentUploadError("The take's audio is not stored in this browser");
+      const events = takeEvents(take, (await idbGetByScript("log", entry)).map((r) => r.entry));
+      const snapshot = loadCodeState(entry.code).scripts?.[entry.scriptId];
+      const prompts = snapshot ? takePrompts(events, applyScriptEdits(snapshot.sentences ?? [], snapshot.edits)) : [];
+      await sendTake({ entry: current, take, events, prompts, settings, onProgress: (sent) => { current = { ...current, sent }; onChange(current); } });
+      await save({ ...current, status: "done", sent: current.size, nextAttemptAt: null, uploadedAt: nowIso() });
+    } catch (e) {
+      await save({ ...current, status: e.permanent ? "failed" : "pending", error: e.message, nextAttemptAt: e.permanent ? null : Date.now() + uploadRetryDelayMs(current.attempts) });
+    }
+  }
+
+  async function pump() {
+    if (running) { again = true; return; }
+    running = true;
+    clearTimeout(timer);
+    timer = null;
+    const tried = new Set(); // one attempt per entry and run, even if its state could not be saved
+    try {
+      do {
+        again = false;
+        const settings = getSettings();
+        if (!isHttpUrl(settings.ingestUrl) || !navigator.onLine) break;
+        const open = (await idbGetAll("uploads")).filter((e) => e.status === "pending" || e.status === "uploading");
+        open.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+        const due = open.find((e) => !tried.has(e.key) && !(e.nextAttemptAt > Date.now()));
+        if (due) {
+          tried.add(due.key);
+          await uploadOne(due, settings);
+          again = true;
+        } else if (open.length) {
+          clearTimeout(timer);
+          timer = setTimeout(pump, Math.max(1000, Math.min(...open.map((e) => e.nextAttemptAt ?? 0)) - Date.now()));
+        }
+      } while (again);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    pump,
+    enqueue: async (entry) => { await save(entry); pump(); },
+    retry: async (entry) => { await save({ ...entry, status: "pending", nextAttemptAt: null, error: null }); pump(); },
+    start() {
+      window.addEventListener("online", pump);
+      pump();
+      return () => { window.removeEventListener("online", pump); clearTimeout(timer); timer = null; };
+    },
+  };
+}
+
 function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
@@ -59,38 +374,6 @@ function downloadBlob(blob, filename) {
   URL.revokeObjectURL(url);
 }
 
-function arrayBufferToWavBlob(float32, sampleRate) {
-  const numChannels = 1;
-  const bytesPerSample = 2;
-  const blockAlign = numChannels * bytesPerSample;
-  const buffer = new ArrayBuffer(44 + float32.length * bytesPerSample);
-  const view = new DataView(buffer);
-  function writeString(view, offset, string) {
-    for (let i = 0; i < string.length; i++) view.setUint8(offset + i, string.charCodeAt(i));
-  }
-  const write16 = (o, v) => view.setUint16(o, v, true);
-  const write32 = (o, v) => view.setUint32(o, v, true);
-  writeString(view, 0, "RIFF");
-  write32(4, 36 + float32.length * bytesPerSample);
-  writeString(view, 8, "WAVE");
-  writeString(view, 12, "fmt ");
-  write32(16, 16);
-  write16(20, 1);
-  write16(22, numChannels);
-  write32(24, sampleRate);
-  write32(28, sampleRate * blockAlign);
-  write16(32, blockAlign);
-  write16(34, 8 * bytesPerSample);
-  writeString(view, 36, "data");
-  write32(40, float32.length * bytesPerSample);
-  let offset = 44;
-  for (let i = 0; i < float32.length; i++, offset += 2) {
-    let s = Math.max(-1, Math.min(1, float32[i]));
-    view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
-  }
-  return new Blob([view], { type: "audio/wav" });
-}
-
 async function decodeToMono(blob, targetSampleRate = null) {
   const arrayBuf = await blob.arrayBuffer();
   const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
@@ -113,59 +396,6 @@ async function decodeToMono(blob, targetSampleRate = null) {
   return { pcm: rendered.getChannelData(0).slice(0), sampleRate: targetSampleRate };
 }
 
-function concatFloat32(arrays) {
-  const total = arrays.reduce((acc, a) => acc + a.length, 0);
-  const out = new Float32Array(total);
-  let offset = 0;
-  for (const arr of arrays) { out.set(arr, offset); offset += arr.length; }
-  return out;
-}
-
-// Segment a single take into per-sentence clips based on navigation events in the log
-function segmentTakeByLog({ take, pcm, sampleRate, allLogs, sentencesLen }) {
-  const startMs = new Date(take.startedAt).getTime();
-  const endMs = new Date(take.endedAt).getTime();
-  const durMs = Math.max(1, endMs - startMs);
-  const totalSamples = pcm.length;
-
-  // events within take window
-  const windowEvents = allLogs
-    .filter(e => e.sessionId === take.sessionId && e.ts)
-    .map(e => ({ ...e, t: new Date(e.ts).getTime() }))
-    .filter(e => e.t >= startMs && e.t <= endMs)
-    .sort((a,b) => a.t - b.t);
-
-  // find initial index at record_start (or fall back to take.idx)
-  let curIdx = take.idx ?? 0;
-  const startEvt = windowEvents.find(e => e.action === 'record_start');
-  if (startEvt && Number.isFinite(startEvt.index)) curIdx = startEvt.index;
-
-  // Build boundaries: [ {tMs, idxAfter} ... ]
-  const boundaries = [{ tMs: startMs, idx: Math.max(0, Math.min(sentencesLen - 1, curIdx)) }];
-  for (const e of windowEvents) {
-    if (e.action === 'nav_next') curIdx = Math.min(sentencesLen - 1, curIdx + 1);
-    if (e.action === 'nav_prev') curIdx = Math.max(0, curIdx - 1);
-    if (e.action === 'nav_next' || e.action === 'nav_prev') {
-      boundaries.push({ tMs: e.t, idx: curIdx });
-    }
-  }
-  boundaries.push({ tMs: endMs, idx: curIdx });
-
-  // Convert time boundaries to sample boundaries and segments
-  const tToSample = (tMs) => Math.round(((tMs - startMs) / durMs) * totalSamples);
-  const segments = [];
-  for (let i = 0; i < boundaries.length - 1; i++) {
-    const a = boundaries[i];
-    const b = boundaries[i + 1];
-    const s0 = Math.max(0, Math.min(totalSamples, tToSample(a.tMs)));
-    const s1 = Math.max(0, Math.min(totalSamples, tToSample(b.tMs)));
-    const len = s1 - s0;
-    if (len <= 0) continue;
-    segments.push({ sampleStart: s0, sampleEnd: s1, idx: a.idx, durationSec: len / sampleRate });
-  }
-  return segments;
-}
-
 function clsx(...args) { return args.filter(Boolean).join(" "); }
 
 function getBestSupportedMime() {
@@ -176,6 +406,142 @@ function getBestSupportedMime() {
   return undefined;
 }
 
+// --- Sentence status ---------------------------------------------------------
+// A sentence is recorded once it has a segment of at least MIN_RECORDED_SEC that wasn't rejected in review; passing
+// through it while recording leaves only a short segment, which doesn't count. It needs a retake when every segment of
+// that length was rejected, or when the reader marked it and hasn't recorded it since. Skipped wins over all of these.
+const SENTENCE_STATUSES = { pending: "Pending", recorded: "Recorded", retake: "Needs retake", skipped: "Skipped" };
+const STATUS_COLORS = { pending: "bg-zinc-700", recorded: "bg-emerald-500", retake: "bg-amber-500", skipped: "bg-zinc-500/40" };
+const MIN_RECORDED_SEC = 0.8;
+// segments: { idx, key, durationSec, startedAt } with startedAt the take's start
+function sentenceStatuses({ sentences, segments, review = {}, retakes = {} }) {
+  const keptAt = new Map();
+  const rejected = new Set();
+  for (const seg of segments) {
+    if (seg.durationSec < MIN_RECORDED_SEC) continue;
+    if (review.status?.[seg.key] === "rejected") { rejected.add(seg.idx); continue; }
+    if (!(keptAt.get(seg.idx) > seg.startedAt)) keptAt.set(seg.idx, seg.startedAt);
+  }
+  return sentences.map((s, i) => {
+    if (s.skipped) return "skipped";
+    if (retakes[i] && !(keptAt.get(i) > retakes[i])) return "retake";
+    if (keptAt.has(i)) return "recorded";
+    return rejected.has(i) ? "retake" : "pending";
+  });
+}
+// First sentence after `from` (wrapping around) with the given status, or -1
+function nextWithStatus(statuses, from, status = "pending") {
+  for (let step = 1; step <= statuses.length; step++) {
+    const i = (from + step) % statuses.length;
+    if (statuses[i] === status) return i;
+  }
+  return -1;
+}
+
+// --- Sample-accurate capture (AudioWorklet) ----------------------------------
+// The worklet records mono PCM from an agreed context frame onwards, so a sample position taken on the main thread
+// (context frame - start frame) indexes the captured take exactly, with no encoder start latency or clock drift.
+const CAPTURE_WORKLET_SOURCE = `
+class TtsCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.startFrame = null;
+    this.stopFrame = null;
+    this.started = false;
+    this.port.onmessage = (e) => {
+      if (e.data.type === "start") this.startFrame = e.data.startFrame;
+      if (e.data.type === "stop") this.stopFrame = e.data.stopFrame;
+    };
+  }
+  process(inputs) {
+    if (this.startFrame === null) return true;
+    const input = inputs[0] || [];
+    const n = input[0]?.length || 128;
+    if (currentFrame + n <= this.startFrame) return true;
+    if (!this.started) {
+      this.started = true;
+      // the start message arrived late: pad by the whole delay so sample 0 is still the agreed start frame and the
+      // stamped positions line up however late it was
+      const late = Math.max(0, currentFrame - this.startFrame);
+      if (late > 0) { const pad = new Float32Array(late); this.port.postMessage({ type: "chunk", pcm: pad }, [pad.buffer]); }
+    }
+    const from = Math.max(0, this.startFrame - currentFrame);
+    const to = this.stopFrame === null ? n : Math.min(n, Math.max(0, this.stopFrame - currentFrame));
+    if (to > from) {
+      const pcm = new Float32Array(to - from);
+      for (const ch of input) for (let i = from; i < to; i++) pcm[i - from] += ch[i] / input.length;
+      this.port.postMessage({ type: "chunk", pcm }, [pcm.buffer]);
+    }
+    if (this.stopFrame !== null && currentFrame + n >= this.stopFrame) {
+      this.port.postMessage({ type: "stopped" });
+      return false;
+    }
+    return true;
+  }
+}
+registerProcessor("tts-capture", TtsCaptureProcessor);
+`;
+let captureModuleUrl = null;
+
+// MediaRecorder-like wrapper (start/stop/onstop) around the capture worklet; resolves to null when unsupported.
+// position() is the current sample index inside the take, used to stamp navigation events.
+async function createSampleCapture(stream) {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx || typeof AudioWorkletNode === "undefined") return null;
+  const ctx = new Ctx();
+  try {
+    if (!captureModuleUrl) captureModuleUrl = URL.createObjectURL(new Blob([CAPTURE_WORKLET_SOURCE], { type: "text/javascript" }));
+    await ctx.audioWorklet.addModule(captureModuleUrl);
+    if (ctx.state === "suspended") await ctx.resume();
+  } catch (e) {
+    ctx.close();
+    throw e;
+  }
+  const source = ctx.createMediaStreamSource(stream);
+  const node = new AudioWorkletNode(ctx, "tts-capture", { numberOfInputs: 1, numberOfOutputs: 1, outputChannelCount: [1] });
+  source.connect(node);
+  node.connect(ctx.destination); // outputs silence; keeps the node pulled by the render graph
+  const chunks = [];
+  const frameNow = () => Math.round(ctx.currentTime * ctx.sampleRate);
+  let startFrame = 0;
+  let stopFrame = null;
+  const capture = {
+    sampleRate: ctx.sampleRate,
+    onstop: null,
+    start() {
+      startFrame = frameNow();
+      node.port.postMessage({ type: "start", startFrame });
+    },
+    position() { return Math.max(0, (stopFrame ?? frameNow()) - startFrame); },
+    stop() {
+      if (stopFrame !== null) return;
+      stopFrame = frameNow();
+      node.port.postMessage({ type: "stop", stopFrame });
+    },
+  };
+  node.port.onmessage = (e) => {
+    if (e.data.type === "chunk") { chunks.push(e.data.pcm); return; }
+    if (e.data.type !== "stopped") return;
+    source.disconnect();
+    node.disconnect();
+    ctx.close();
+    const pcm = concatFloat32(chunks).subarray(0, stopFrame - startFrame);
+    capture.onstop?.({ pcm, sampleRate: ctx.sampleRate });
+  };
+  return capture;
+}
+
+// Record a few seconds of room tone through the capture worklet; resolves to null when capture is unsupported
+async function recordRoomTone(stream, seconds) {
+  const capture = await createSampleCapture(stream).catch(() => null);
+  if (!capture) return null;
+  return new Promise((resolve) => {
+    capture.onstop = resolve;
+    capture.start();
+    setTimeout(() => capture.stop(), seconds * 1000);
+  });
+}
+
 // --- UI beep helper ----------------------------------------------------------
 let BeepCtx = null;
 async function playBeep(freq = 880, duration = 0.12, volume = 0.2) {
@@ -200,6 +566,22 @@ async function playBeep(freq = 880, duration = 0.12, volume = 0.2) {
   }
 }
 
+// --- Clip playback helper ----------------------------------------------------
+let PlaybackCtx = null;
+function playPcm(pcm, sampleRate, onEnded) {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!PlaybackCtx) PlaybackCtx = new Ctx();
+  if (PlaybackCtx.state === "suspended") PlaybackCtx.resume();
+  const buf = PlaybackCtx.createBuffer(1, pcm.length, sampleRate);
+  buf.copyToChannel(pcm, 0);
+  const src = PlaybackCtx.createBufferSource();
+  src.buffer = buf;
+  src.connect(PlaybackCtx.destination);
+  src.onended = onEnded;
+  src.start();
+  return () => { try { src.stop(); } catch { /* already stopped */ } };
+}
+
 // --- Parsing helpers (and tests) --------------------------------------------
 // normalized line splitter supports Windows (CRLF) and Unix (LF)
 const splitLines = (text) => text.split(/\r?\n/);
@@ -208,23 +590,174 @@ function parseTxt(txt) {
   return splitLines(txt).map((s) => s.trim()).filter(Boolean).map(text => ({ text, id: null }));
 }
 
+// --- Running prose: Norwegian sentence splitting ----------------------------
+// Abbreviations that never end a sentence (compared lower-case, without the final dot)
+const NB_ABBREVIATIONS = new Set([
+  "bl.a", "f.eks", "dvs", "d.v.s", "pga", "p.g.a", "ca", "nr", "jf", "jfr", "mht", "m.h.t", "vha", "v.h.a", "evt", "ev", "hhv", "iflg",
+  "inkl", "ekskl", "t.o.m", "f.o.m", "o.a", "ang", "adm", "dir", "avd", "kl", "tlf", "pst", "ref", "red", "fig", "tab", "kap", "vol", "s",
+  "dr", "prof", "st", "sr", "jr", "stud", "cand", "f", "e", "ff", "bl", "mfl",
+  "jan", "feb", "mar", "apr", "jun", "jul", "aug", "sep", "sept", "okt", "nov", "des",
+]);
+// Abbreviations that often close a sentence: split after them only when a capitalised word follows
+const NB_END_ABBREVIATIONS = new Set(["osv", "o.s.v", "mv", "m.v", "m.m", "m.fl", "o.l", "e.l", "etc", "kr", "mill", "mrd", "f.kr", "e.kr"]);
+
+// Reduce Markdown to plain text blocks: headings, list items and quotes become blocks of their own; code, images,
+// link targets and emphasis markers are dropped
+function markdownToBlocks(md) {
+  const blocks = [];
+  let para = [];
+  let inFence = false;
+  const flush = () => { if (para.length) blocks.push(para.join(" ")); para = []; };
+  for (const raw of splitLines(md)) {
+    if (/^\s*(```|~~~)/.test(raw)) { inFence = !inFence; flush(); continue; }
+    if (inFence) continue;
+    if (!raw.trim() || /^\s*([-*_]\s*){3,}$/.test(raw) || /^\s*\|?[\s:|-]+\|[\s:|-]*$/.test(raw)) { flush(); continue; }
+    let line = raw
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+      .replace(/<[^>]+>/g, "")
+      .replace(/`([^`]*)`/g, "$1")
+      .replace(/(\*\*|__)(.+?)\1/g, "$2")
+      .replace(/(^|[\s(])[*_]([^*_\s][^*_]*?)[*_](?=[\s).,;:!?]|$)/g, "$1$2");
+    const block = /^\s*(#{1,6}\s+|>\s?|[-*+]\s+|\d+[.)]\s+)/.exec(line);
+    if (block) { flush(); line = line.slice(block[0].length); }
+    line = line.replace(/\|/g, " ").trim();
+    if (line) para.push(line);
+    if (block && /^\s*#/.test(block[0])) flush(); // a heading is a block on its own
+  }
+  flush();
+  return blocks;
+}
+
+// Paragraphs separated by blank lines; hard-wrapped lines within a paragraph are joined
+function proseToBlocks(txt) {
+  return txt.split(/\r?\n\s*\r?\n/).map((p) => p.split(/\r?\n/).map((l) => l.trim()).filter(Boolean).join(" ")).filter(Boolean);
+}
+
+// Split over-long sentences at the clause break (; : – ,) closest to the middle, else at the last space before maxLength
+function splitLongSentence(text, maxLength) {
+  if (!maxLength || text.length <= maxLength) return [text];
+  const breaks = [];
+  const re = /[;:,](?=\s)|\s[–—-](?=\s)/g;
+  let m;
+  while ((m = re.exec(text))) breaks.push(m[0].length > 1 ? m.index : m.index + 1);
+  const inRange = breaks.filter((b) => b >= text.length - maxLength && b <= maxLength);
+  const mid = text.length / 2;
+  let cut = inRange.sort((a, b) => Math.abs(a - mid) - Math.abs(b - mid))[0];
+  if (cut === undefined) {
+    cut = text.lastIndexOf(" ", maxLength);
+    if (cut <= 0) cut = maxLength;
+  }
+  return [...splitLongSentence(text.slice(0, cut).trim(), maxLength), ...splitLongSentence(text.slice(cut).trim(), maxLength)].filter(Boolean);
+}
+
+// Norwegian-aware sentence segmentation of one paragraph
+function splitNorwegianSentences(paragraph) {
+  const out = [];
+  const re = /([.!?…]+)([»"”’')\]]*)(\s+)/g;
+  let start = 0;
+  let m;
+  while ((m = re.exec(paragraph))) {
+    const end = m.index + m[1].length + m[2].length;
+    const rest = paragraph.slice(m.index + m[0].length);
+    const nextChar = rest[0] || "";
+    const startsSentence = /[\p{Lu}«"“„–—-]/u.test(nextChar);
+    const startsWithDigit = /\d/.test(nextChar);
+    if (!startsSentence && !startsWithDigit) continue;
+    if (m[1] === ".") {
+      const word = (/(\S+)$/.exec(paragraph.slice(start, m.index))?.[1] || "").replace(/^[«"“„([]+/, "");
+      const lower = word.toLowerCase();
+      if (NB_ABBREVIATIONS.has(lower)) continue;
+      if (NB_END_ABBREVIATIONS.has(lower) && !startsSentence) continue;
+      if (/^\p{Lu}$/u.test(word)) continue;                 // initials: "O. Hansen"
+      if (/^\d{1,3}$/.test(word) && startsWithDigit) continue; // ordinals in lists: "1. 2."
+      if (startsWithDigit && /^\p{Ll}/u.test(word)) continue; // "s. 12", "kap. 3"
+      if (/^(\p{L}\.)+\p{L}$/u.test(word)) continue;          // unknown dotted abbreviations: "a.s", "o.k"
+    } else if (startsWithDigit && m[1] !== "!" && m[1] !== "?") continue;
+    out.push(paragraph.slice(start, end).trim());
+    start = m.index + m[0].length;
+  }
+  const tail = paragraph.slice(start).trim();
+  if (tail) out.push(tail);
+  return out;
+}
+
+const DEFAULT_PROSE_MAX_LENGTH = 200;
+
+// Import running prose (or Markdown) as sentences, optionally capping sentence length
+function parseProse(txt, opts = {}) {
+  const { markdown = false, maxLength = 0 } = opts;
+  const blocks = markdown ? markdownToBlocks(txt) : proseToBlocks(txt);
+  return blocks
+    .flatMap((b) => splitNorwegianSentences(b.replace(/\s+/g, " ")))
+    .flatMap((sentence) => splitLongSentence(sentence, maxLength))
+    .map((text) => ({ text, id: null }));
+}
+
+// RFC 4180 record parser: quoted fields, "" escapes, delimiters and line breaks inside quotes, CRLF or LF
+function parseDelimitedRows(txt, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  for (let i = 0; i < txt.length; i++) {
+    const c = txt[i];
+    if (inQuotes) {
+      if (c === '"' && txt[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') inQuotes = false;
+      else field += c;
+    } else if (c === '"' && field === "") inQuotes = true;
+    else if (c === delimiter) { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && txt[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += c;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  // blank lines are not records
+  return rows.filter((r) => r.length > 1 || r[0] !== "");
+}
+
+const CSV_DELIMITERS = [",", ";", "\t"];
+const DELIMITER_LABELS = { ",": "comma", ";": "semicolon", "\t": "tab" };
+
+// Pick the delimiter that splits the first records into the most columns, consistently (same count on every record)
+function detectDelimiter(txt) {
+  const sample = txt.slice(0, 20000);
+  let best = ","; let bestScore = 0;
+  for (const d of CSV_DELIMITERS) {
+    const rows = parseDelimitedRows(sample, d).slice(0, 10);
+    if (!rows.length) continue;
+    const counts = rows.map((r) => r.length);
+    const consistent = counts.every((n) => n === counts[0]);
+    const score = counts[0] > 1 ? counts[0] * (consistent ? 2 : 1) : 0;
+    if (score > bestScore) { best = d; bestScore = score; }
+  }
+  return best;
+}
+
+// Optional idColumnIndex (-1 = none) and metaColumns (indices) carry an ID and passthrough fields into each sentence
 function parseCsv(txt, opts = {}) {
-  const { columnIndex = 0, hasHeader = true } = opts;
-  const rows = splitLines(txt).filter((l) => l.length > 0).map((line) => line.split(","));
-  if (rows.length === 0) return [];
+  const { columnIndex = 0, hasHeader = true, delimiter = "auto", idColumnIndex = -1, metaColumns = [] } = opts;
+  const usedDelimiter = delimiter === "auto" ? detectDelimiter(txt) : delimiter;
+  const rows = parseDelimitedRows(txt, usedDelimiter);
+  if (rows.length === 0) return { values: [], headers: [], delimiter: usedDelimiter };
   const headers = hasHeader ? rows[0] : Array.from({ length: rows[0].length }, (_, i) => `col_${i}`);
   const start = hasHeader ? 1 : 0;
   const idx = Math.min(Math.max(0, columnIndex), headers.length - 1);
   const values = [];
   for (let i = start; i < rows.length; i++) {
     const v = (rows[i][idx] ?? "").trim();
-    if (v) values.push({ text: v, id: null });
+    if (!v) continue;
+    const sentence = { text: v, id: idColumnIndex >= 0 ? (rows[i][idColumnIndex] ?? "").trim() || null : null };
+    if (metaColumns.length) sentence.meta = Object.fromEntries(metaColumns.filter((c) => c < headers.length).map((c) => [headers[c], (rows[i][c] ?? "").trim()]));
+    values.push(sentence);
   }
-  return { values, headers };
+  return { values, headers, delimiter: usedDelimiter };
 }
 
 function parseJsonl(txt, opts = {}) {
-  const { key = "text" } = opts;
+  const { key = "text", idKey = "id", metaKeys = [] } = opts;
   return splitLines(txt)
     .filter(Boolean)
     .map((line) => {
@@ -232,13 +765,344 @@ function parseJsonl(txt, opts = {}) {
         const obj = JSON.parse(line); 
         const text = obj?.[key]?.toString().trim() ?? null;
         if (!text) return null;
-        // Return object with text and id (if present)
-        return { text, id: obj?.id ?? null };
+        // Return object with text, id (if present) and any passthrough fields
+        const sentence = { text, id: idKey ? obj?.[idKey] ?? null : null };
+        if (metaKeys.length) sentence.meta = Object.fromEntries(metaKeys.map((k) => [k, obj?.[k] ?? null]));
+        return sentence;
       } catch { return null; }
     })
     .filter(Boolean);
 }
 
+// --- Norwegian text normalization --------------------------------------------
+// Expands numbers, dates, clock times, money, units and common abbreviations into the words a reader says, in Bokmål
+// ("nb") or Nynorsk ("nn"). Rule-based and conservative: anything it doesn't recognise is left as written.
+const TEXT_NORMALIZATIONS = { off: "Off", nb: "Bokmål", nn: "Nynorsk" };
+const NO_WORDS = {
+  nb: {
+    ones: ["null", "en", "to", "tre", "fire", "fem", "seks", "sju", "åtte", "ni", "ti", "elleve", "tolv", "tretten", "fjorten", "femten", "seksten", "sytten", "atten", "nitten"],
+    one: "ett", million: ["million", "millioner"], billion: ["milliard", "milliarder"],
+    ordinals: ["", "første", "andre", "tredje", "fjerde", "femte", "sjette", "sjuende", "åttende", "niende", "tiende", "ellevte", "tolvte"],
+    ordinalSuffix: "ende", hundredth: "hundrede", thousandth: "tusende",
+    abbreviations: { "f.eks.": "for eksempel", "bl.a.": "blant annet", "dvs.": "det vil si", "osv.": "og så videre", "mv.": "med videre", "m.m.": "med mer", "ca.": "cirka", "nr.": "nummer", "kl.": "klokka", "pga.": "på grunn av", "evt.": "eventuelt", "o.l.": "og lignende", "mht.": "med hensyn til", "iht.": "i henhold til", "t.o.m.": "til og med", "f.o.m.": "fra og med", "etc.": "et cetera" },
+  },
+  nn: {
+    ones: ["null", "ein", "to", "tre", "fire", "fem", "seks", "sju", "åtte", "ni", "ti", "elleve", "tolv", "tretten", "fjorten", "femten", "seksten", "sytten", "atten", "nitten"],
+    one: "eitt", million: ["million", "millionar"], billion: ["milliard", "milliardar"],
+    ordinals: ["", "fyrste", "andre", "tredje", "fjerde", "femte", "sjette", "sjuande", "åttande", "niande", "tiande", "ellevte", "tolvte"],
+    ordinalSuffix: "ande", hundredth: "hundrande", thousandth: "tusande",
+    abbreviations: { "f.eks.": "til dømes", "bl.a.": "mellom anna", "dvs.": "det vil seie", "osv.": "og så vidare", "mv.": "med vidare", "m.m.": "med meir", "ca.": "cirka", "nr.": "nummer", "kl.": "klokka", "pga.": "på grunn av", "evt.": "eventuelt", "o.l.": "og liknande", "mht.": "med omsyn til", "iht.": "i samsvar med", "t.o.m.": "til og med", "f.o.m.": "frå og med", "etc.": "et cetera" },
+  },
+};
+const NO_TENS = ["", "", "tjue", "tretti", "førti", "femti", "seksti", "sytti", "åtti", "nitti"];
+const NO_MONTHS = ["januar", "februar", "mars", "april", "mai", "juni", "juli", "august", "september", "oktober", "november", "desember"];
+const NO_UNITS = { "km/t": ["kilometer i timen"], km: ["kilometer"], cm: ["centimeter"], mm: ["millimeter"], m: ["meter"], kg: ["kilo"], g: ["gram"], dl: ["desiliter"], ml: ["milliliter"], l: ["liter"], "%": ["prosent"], "°C": ["grad", "grader"], "°": ["grad", "grader"] };
+
+// Cardinal number in words; inner = part of a larger number ("tusen ett hundre", not "tusen hundre")
+function numberToWords(n, lang = "nb", inner = false) {
+  const w = NO_WORDS[lang];
+  if (n < 0) return `minus ${numberToWords(-n, lang)}`;
+  if (n < 20) return w.ones[n];
+  if (n < 100) return NO_TENS[Math.floor(n / 10)] + (n % 10 ? w.ones[n % 10] : "");
+  const scale = (size, single, plural) => {
+    const count = Math.floor(n / size);
+    const rest = n % size;
+    const head = count === 1 ? single : `${numberToWords(count, lang, inner)} ${plural}`;
+    return head + (rest ? (rest < 100 ? " og " : " ") + numberToWords(rest, lang, true) : "");
+  };
+  if (n < 1000) return scale(100, inner ? `${w.one} hundre` : "hundre", "hundre");
+  if (n < 1e6) return scale(1000, inner ? `${w.one} tusen` : "tusen", "tusen");
+  if (n < 1e9) return scale(1e6, `${w.ones[1]} ${w.million[0]}`, w.million[1]);
+  return scale(1e9, `${w.ones[1]} ${w.billion[0]}`, w.billion[1]);
+}
+
+// Ordinal in words ("17." → "syttende" / "syttande"), built on the cardinal with its last element made ordinal
+function ordinalToWords(n, lang = "nb") {
+  const w = NO_WORDS[lang];
+  const last = n % 100;
+  const head = n - last;
+  const prefix = head ? numberToWords(head, lang) : "";
+  let tail;
+  if (!last) return n % 1000 ? `${prefix.replace(/\s*hundre$/, "")} ${w.hundredth}`.trim() : `${prefix.replace(/\s*tusen$/, "")} ${w.thousandth}`.trim();
+  if (last <= 12) tail = w.ordinals[last];
+  else if (last < 20) tail = w.ones[last].replace(lang === "nn" ? /en$/ : /$/, lang === "nn" ? "ande" : "de");
+  else if (last % 10) tail = NO_TENS[Math.floor(last / 10)] + ordinalToWords(last % 10, lang);
+  else tail = NO_TENS[last / 10].replace(/e$/, "") + w.ordinalSuffix;
+  if (!prefix) return tail;
+  return `${prefix}${last < 100 ? " og " : " "}${tail}`;
+}
+
+// Years are read in hundreds up to 1999 ("atten hundre og fjorten"), as ordinary numbers from 2000
+function yearToWords(y, lang = "nb") {
+  if (y < 1100 || y >= 2000 || y % 1000 < 100) return numberToWords(y, lang);
+  const rest = y % 100;
+  return `${numberToWords(Math.floor(y / 100), lang)} hundre${rest ? ` og ${numberToWords(rest, lang)}` : ""}`;
+}
+
+// "1990-tallet" → "nittennittitallet", "1800-" → "attenhundre-", "2000-" → "totusen-": the number in one word, years up
+// to 1999 in hundreds
+function decadeToWords(n, lang = "nb") {
+  const words = n >= 1100 && n < 2000 ? `${numberToWords(Math.floor(n / 100), lang)}${n % 100 ? numberToWords(n % 100, lang) : "hundre"}` : numberToWords(n, lang);
+  return words.replace(/ og | /g, "");
+}
+
+// "3,5" → "tre komma fem"; decimals with a leading zero are read digit by digit ("0,05" → "null komma null fem")
+function decimalToWords(text, lang = "nb") {
+  const [int, frac] = text.replace(/[ \u00a0.]/g, "").split(",");
+  const intWords = numberToWords(Number(int), lang);
+  if (!frac) return intWords;
+  const fracWords = frac.startsWith("0") ? [...frac].map((d) => NO_WORDS[lang].ones[Number(d)]).join(" ") : numberToWords(Number(frac), lang);
+  return `${intWords} komma ${fracWords}`;
+}
+
+function clockToWords(h, m, lang = "nb") {
+  const minutes = Number(m || 0);
+  const minuteWords = !minutes ? "" : minutes < 10 ? ` null ${NO_WORDS[lang].ones[minutes]}` : ` ${numberToWords(minutes, lang)}`;
+  return `klokka ${numberToWords(Number(h), lang)}${minuteWords}`;
+}
+
+function moneyToWords(amount, unit, lang = "nb") {
+  const [kr, ore] = amount.replace(/[ \u00a0.]/g, "").split(",");
+  const whole = Number(kr);
+  if (unit !== "kr") return `${numberToWords(whole, lang)} ${unit}${ore && Number(ore) ? ` og ${numberToWords(Number(ore.padEnd(2, "0")), lang)} cent` : ""}`;
+  const kroner = `${numberToWords(whole, lang)} ${whole === 1 ? "krone" : "kroner"}`;
+  return ore && /^\d+$/.test(ore) && Number(ore) ? `${kroner} og ${numberToWords(Number(ore.padEnd(2, "0")), lang)} øre` : kroner;
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+const NUM = String.raw`\d{1,3}(?:[ \u00a0.]\d{3})+|\d+`; // 1 250 000, 1.250.000 or 1250000
+const MONTH_RE = NO_MONTHS.join("|");
+
+function normalizeNorwegian(text, lang = "nb") {
+  if (!NO_WORDS[lang] || !text) return text;
+  const num = (s) => Number(s.replace(/[ \u00a0.]/g, ""));
+  let out = text;
+  // clock times: "kl. 14.30", "kl 9", "14:30"
+  out = out.replace(/\bkl\.?\s*(\d{1,2})(?:[.:](\d{2}))?\b/gi, (_, h, m) => clockToWords(h, m, lang));
+  out = out.replace(/\b([01]?\d|2[0-3]):([0-5]\d)\b/g, (_, h, m) => clockToWords(h, m, lang));
+  // dates: "17.05.2024", "17. mai (2024)"
+  out = out.replace(/\b(\d{1,2})\.(\d{1,2})\.(\d{4})\b/g, (all, d, m, y) => (m >= 1 && m <= 12 && d >= 1 && d <= 31 ? `${ordinalToWords(Number(d), lang)} ${NO_MONTHS[m - 1]} ${yearToWords(Number(y), lang)}` : all));
+  out = out.replace(new RegExp(String.raw`\b(\d{1,2})\.\s+(${MONTH_RE})(?:\s+(\d{4})\b)?`, "gi"), (_, d, month, y) => `${ordinalToWords(Number(d), lang)} ${month}${y ? ` ${yearToWords(Number(y), lang)}` : ""}`);
+  // decades and centuries: "1990-tallet", "90-talet", "1800-tallets"
+  out = out.replace(/\b(\d{1,3}0)-(tal\p{L}*)/gu, (_, n, suffix) => `${decadeToWords(Number(n), lang)}${suffix}`);
+  out = out.replace(/\b(i|år|året|fra|frå|til)\s+(1[1-9]\d\d|20\d\d)\b/gi, (_, w, y) => `${w} ${yearToWords(Number(y), lang)}`);
+  // money: "kr 250", "kr. 12,50", "250 kr", "250,-", "NOK 250", "€ 5", "5 $"
+  out = out.replace(new RegExp(String.raw`(?:\b(?:kr\.?|NOK)\s*(${NUM})(?:,(\d{1,2}|-))?)|(?:\b(${NUM})(?:,(\d{1,2}|-))?\s*(?:kr\b\.?|kroner\b|NOK\b))|(?:\b(${NUM}),-)`, "g"),
+    (_, a1, o1, a2, o2, a3) => moneyToWords(`${a1 ?? a2 ?? a3}${(o1 ?? o2) && (o1 ?? o2) !== "-" ? `,${o1 ?? o2}` : ""}`, "kr", lang));
+  out = out.replace(new RegExp(String.raw`(?:([€$])\s*(${NUM})(?:,(\d{1,2}))?)|(?:\b(${NUM})(?:,(\d{1,2}))?\s*([€$]))`, "g"),
+    (_, c1, a1, f1, a2, f2, c2) => moneyToWords(`${a1 ?? a2}${f1 ?? f2 ? `,${f1 ?? f2}` : ""}`, (c1 ?? c2) === "€" ? "euro" : "dollar", lang));
+  // units and percent after a number
+  const unitKeys = Object.keys(NO_UNITS).map(escapeRegExp).join("|");
+  out = out.replace(new RegExp(String.raw`(?<![\p{L}\d])([-−]?)(${NUM}(?:,\d+)?)\s?(${unitKeys})(?![\p{L}\d])`, "gu"), (_, sign, value, unit) => {
+    const [single, plural = single] = NO_UNITS[unit];
+    return `${sign ? "minus " : ""}${decimalToWords(value, lang)} ${value === "1" ? single : plural}`;
+  });
+  // ordinals before a lower-case word: "3. plass", "21. århundre"
+  out = out.replace(/\b(\d{1,3})\.(?=\s+\p{Ll})/gu, (_, d) => ordinalToWords(Number(d), lang));
+  // remaining numbers, decimals and negatives; digits run together with dots, colons or slashes in a way none of the
+  // rules above read ("1.2345", "3/4") are left as written
+  out = out.replace(new RegExp(String.raw`(^|[^\p{L}\d,])(?<!\d[.:/])([-−]?)(${NUM})(?:,(\d+))?(?![\d\p{L}]|[.:/]\d)`, "gu"), (all, pre, sign, int, frac) => {
+    if (num(int) >= 1e12) return all;
+    const negative = sign && /^\s?$/.test(pre); // "2-3" is a range, not minus three
+    return `${pre}${negative ? "minus " : sign}${decimalToWords(frac ? `${int},${frac}` : int, lang)}`;
+  });
+  // abbreviations; a sentence-final one keeps its full stop
+  for (const [abbr, words] of Object.entries(NO_WORDS[lang].abbreviations)) {
+    out = out.replace(new RegExp(`(?<![\\p{L}.])${escapeRegExp(abbr)}`, "giu"), (_, offset, all) => (offset + abbr.length >= all.trimEnd().length ? `${words}.` : words));
+  }
+  out = out.replace(/[ \u00a0]{2,}/g, " ").trim();
+  // a sentence that started with a digit still starts with a capital
+  return /^[-−]?\d/.test(text.trim()) ? out.charAt(0).toUpperCase() + out.slice(1) : out;
+}
+
+// --- Phonetic coverage ---------------------------------------------------------
+// Rule-based grapheme-to-phoneme approximation of Urban East Norwegian in the X-SAMPA style of the NST lexicon: good
+// enough to count phones and diphones when choosing sentences, not a transcription. NO_LEXICON covers frequent words
+// the rules get wrong; everything else goes through the rules. Coverage is measured on the spoken form (numbers and
+// abbreviations expanded), so the units are the ones a reader actually says.
+const NO_PHONES = ["A:", "A", "e:", "E", "i:", "I", "u:", "u", "}:", "}", "y:", "Y", "{:", "{", "2:", "9", "o:", "O", "@", "{i", "{}", "9y", "Ai", "Oy",
+  "p", "b", "t", "d", "k", "g", "f", "v", "s", "S", "C", "h", "j", "l", "r", "m", "n", "N", "t`", "d`", "n`", "l`", "s`"];
+const NO_LEXICON = Object.fromEntries(Object.entries({
+  og: "O:", jeg: "j {i", meg: "m {i", deg: "d {i", seg: "s {i", det: "d e:", de: "d i:", dem: "d E m", er: "{: r", var: "v A: r",
+  ikke: "I k @", ikkje: "I C @", til: "t I l", på: "p o:", av: "A: v", for: "f O r", med: "m e:", ved: "v e:", han: "h A n", hun: "h } n",
+  vi: "v i:", som: "s O m", men: "m E n", en: "e: n", et: "E t", ei: "{i", om: "O m", kan: "k A n", skal: "s k A l", vil: "v I l", at: "A t",
+  hva: "v A:", hvor: "v u: r", god: "g u:", godt: "g O t", mer: "m e: r", der: "d {: r", her: "h {: r", noe: "n u: @", sier: "s i: @ r",
+  ble: "b l e:", alle: "A l @", eller: "E l @ r", også: "O s o:", mange: "m A N @", kveld: "k v E l", verden: "v {: r d @ n",
+}).map(([w, p]) => [w, p.split(" ")]));
+const NO_VOWEL_LETTERS = "aeiouyæøå";
+const NO_LONG = { a: "A:", e: "e:", i: "i:", o: "u:", u: "}:", y: "y:", æ: "{:", ø: "2:", å: "o:" };
+const NO_SHORT = { a: "A", e: "E", i: "I", o: "O", u: "}", y: "Y", æ: "{", ø: "9", å: "O" };
+const NO_DIPHTHONGS = { ei: "{i", ai: "Ai", au: "{}", øy: "9y", oi: "Oy" };
+// [letters, phones, where]: "initial" only at the start of a word, "final" only at its end, "front" only before i/y/ei/øy
+const NO_G2P_RULES = [
+  ["skj", ["S"]], ["sj", ["S"]], ["sk", ["S"], "initial front"], ["kj", ["C"]], ["tj", ["C"]], ["k", ["C"], "initial front"],
+  ["gj", ["j"], "initial"], ["hj", ["j"], "initial"], ["lj", ["j"], "initial"], ["hv", ["v"], "initial"], ["g", ["j"], "initial front"],
+  ["dt", ["t"], "final"], ["rd", ["r"], "final"], ["ld", ["l"], "final"], ["nd", ["n"], "final"],
+  ["ng", ["N"]], ["nk", ["N", "k"]], ["rs", ["s`"]], ["rt", ["t`"]], ["rd", ["d`"]], ["rn", ["n`"]], ["rl", ["l`"]],
+  ["ch", ["S"]], ["sch", ["S"]], ["ph", ["f"]], ["th", ["t"]], ["x", ["k", "s"]], ["z", ["s"]], ["w", ["v"]], ["q", ["k"]],
+].sort((a, b) => b[0].length - a[0].length);
+const NO_LETTER_FOLD = { é: "e", è: "e", ê: "e", ë: "e", á: "a", à: "a", â: "a", ä: "æ", ö: "ø", ó: "o", ò: "o", ô: "o", ü: "y", í: "i", ú: "u" };
+
+function g2pNorwegian(word) {
+  const w = [...word.toLowerCase()].map((c) => NO_LETTER_FOLD[c] ?? c).join("").replace(/[^a-zæøå]/g, "");
+  if (!w) return [];
+  if (NO_LEXICON[w]) return NO_LEXICON[w];
+  const isVowel = (c) => c !== undefined && NO_VOWEL_LETTERS.includes(c);
+  const phones = [];
+  let firstVowel = true;
+  for (let i = 0; i < w.length;) {
+    const rest = w.slice(i);
+    const diphthong = Object.keys(NO_DIPHTHONGS).find((d) => rest.startsWith(d));
+    if (diphthong) { phones.push(NO_DIPHTHONGS[diphthong]); i += 2; firstVowel = false; continue; }
+    if (isVowel(w[i])) {
+      // only the (usually stressed) first vowel can be long: before at most one consonant letter; later e is schwa, a final o is u
+      let consonants = 0;
+      while (i + 1 + consonants < w.length && !isVowel(w[i + 1 + consonants])) consonants++;
+      const long = firstVowel && consonants <= 1 && !rest.startsWith("ng", 1);
+      phones.push(firstVowel ? (long ? NO_LONG[w[i]] : NO_SHORT[w[i]]) : w[i] === "e" ? "@" : w[i] === "o" && i === w.length - 1 ? "u" : NO_SHORT[w[i]]);
+      firstVowel = false;
+      i++;
+      continue;
+    }
+    const rule = NO_G2P_RULES.find(([letters, , where = ""]) => rest.startsWith(letters)
+      && (!where.includes("initial") || i === 0)
+      && (!where.includes("final") || rest.length === letters.length)
+      && (!where.includes("front") || /^(i|y|j|ei|øy)/.test(rest.slice(letters.length))));
+    if (rule) { phones.push(...rule[1]); i += rule[0].length; continue; }
+    if (w[i] === "c") phones.push(/^[eiy]/.test(rest.slice(1)) ? "s" : "k");
+    else if (w[i] !== w[i - 1] || isVowel(w[i - 1])) phones.push(w[i]); // double consonants are one phone
+    i++;
+  }
+  return phones;
+}
+
+// Coverage units of a sentence: phones, diphones (phone pairs across the whole utterance, "#" = silence at its edges)
+// and character bigrams within words ("_" = word boundary)
+function coverageUnits(text) {
+  const words = String(text ?? "").toLowerCase().match(/\p{L}+/gu) ?? [];
+  const phones = words.flatMap(g2pNorwegian);
+  const seq = ["#", ...phones, "#"];
+  const diphones = seq.slice(1).map((p, k) => `${seq[k]}-${p}`);
+  const bigrams = words.flatMap((word) => { const padded = [..."_" + word + "_"]; return padded.slice(1).map((c, k) => padded[k] + c); });
+  return { phones, diphones, bigrams };
+}
+
+const COVERAGE_KINDS = { phones: "Phones", diphones: "Diphones", bigrams: "Character bigrams" };
+
+// Distinct units (with occurrence counts) over the given sentence indices
+function coverageCounts(units, indices) {
+  const counts = { phones: new Map(), diphones: new Map(), bigrams: new Map() };
+  for (const i of indices) for (const kind of Object.keys(counts)) for (const u of units[i][kind]) counts[kind].set(u, (counts[kind].get(u) ?? 0) + 1);
+  return counts;
+}
+
+// Greedy set cover: repeatedly take the candidate adding the most not-yet-covered units per phone read (a new phone
+// outweighs many diphones, a diphone many bigrams). Gains only shrink as coverage grows, so stale scores are upper
+// bounds and only the best candidate needs rescoring (lazy greedy). Once nothing adds coverage the rest follow in
+// script order. Returns up to n indices in selection order.
+const COVERAGE_WEIGHTS = { phones: 10, diphones: 1, bigrams: 0.1 };
+function greedyCoverageSelect(units, candidates, n) {
+  const covered = { phones: new Set(), diphones: new Set(), bigrams: new Set() };
+  const score = (i) => {
+    let gain = 0;
+    for (const [kind, weight] of Object.entries(COVERAGE_WEIGHTS)) for (const u of new Set(units[i][kind])) if (!covered[kind].has(u)) gain += weight;
+    return gain / Math.max(1, units[i].phones.length);
+  };
+  const queue = candidates.map((i) => ({ i, score: score(i) })).sort((a, b) => b.score - a.score || a.i - b.i);
+  const picked = [];
+  while (picked.length < n && queue.length && queue[0].score > 0) {
+    const top = queue.shift();
+    top.score = score(top.i);
+    if (top.score > 0 && (!queue.length || top.score >= queue[0].score)) {
+      picked.push(top.i);
+      for (const kind of Object.keys(covered)) for (const u of units[top.i][kind]) covered[kind].add(u);
+      continue;
+    }
+    let at = queue.findIndex((q) => q.score < top.score || (q.score === top.score && q.i > top.i));
+    if (at < 0) at = queue.length;
+    queue.splice(at, 0, top);
+  }
+  const chosen = new Set(picked);
+  for (const i of candidates) { if (picked.length >= n) break; if (!chosen.has(i)) picked.push(i); }
+  return picked;
+}
+
+// --- Coordinator assignments -----------------------------------------------------
+// A coordinator splits the master script into one assignment per reader Code and hands each out as a project bundle:
+// a JSON file with the assigned sentences as a JSONL script, its parse options, the ID mapping and the project name,
+// which readers load with Upload Script. Each sentence carries source_index (its 0-based index in the master script)
+// as an extra field, so it ends up in every clip's metadata; exports also name the assignment in manifest.json.
+const BUNDLE_FORMAT = "nb-tts-prompter-bundle";
+const ASSIGNMENT_METHODS = { count: "Fixed count per Code", range: "Ranges per Code", roundrobin: "Round-robin" };
+
+// JSONL script of the given sentences (as read: edited text, ID or else their number, extra fields), as coverage
+// selections and assignment bundles are loaded; with sourceIndex each line also records the sentence's index
+function sentencesToJsonl(sentences, indices, { sourceIndex = false } = {}) {
+  const rows = indices.map((i) => ({ ...sentences[i].meta, text: sentences[i].text, id: sentences[i].id ?? String(i + 1), ...(sourceIndex ? { source_index: i } : {}) }));
+  const metaKeys = [...new Set(rows.flatMap((r) => Object.keys(r)))].filter((k) => k !== "text" && k !== "id");
+  return { txt: rows.map((r) => JSON.stringify(r)).join("\n"), metaKeys, rows };
+}
+
+// Codes typed as a list (commas, spaces or new lines), upper-cased like the Code field, without duplicates
+const parseCodes = (text) => [...new Set(String(text ?? "").toUpperCase().split(/[\s,;]+/).filter(Boolean))];
+
+// One "CODE 1-200, 401-450" per line (sentence numbers, inclusive) -> { CODE: [0-based indices] }
+function parseAssignmentRanges(text, total) {
+  const out = {};
+  for (const line of splitLines(String(text ?? ""))) {
+    const m = line.trim().match(/^([^\s:]+)\s*:?\s*(.*)$/);
+    if (!m || !m[2]) continue;
+    const code = m[1].toUpperCase();
+    out[code] = out[code] ?? [];
+    for (const part of m[2].split(/[,\s]+/).filter(Boolean)) {
+      const [a, b = a] = part.split("-").map(Number);
+      if (!Number.isInteger(a) || !Number.isInteger(b)) continue;
+      for (let n = Math.max(1, Math.min(a, b)); n <= Math.min(total, Math.max(a, b)); n++) if (!out[code].includes(n - 1)) out[code].push(n - 1);
+    }
+  }
+  return out;
+}
+
+// Sentence numbers as compact ranges: [0, 1, 2, 5] -> "1-3 6"
+function formatRanges(indices) {
+  const sorted = [...indices].sort((a, b) => a - b);
+  const parts = [];
+  for (let k = 0; k < sorted.length;) {
+    let j = k;
+    while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+    parts.push(j > k ? `${sorted[k] + 1}-${sorted[j] + 1}` : `${sorted[k] + 1}`);
+    k = j + 1;
+  }
+  return parts.join(" ");
+}
+
+// Split the candidate sentences (indices in script order) between Codes: consecutive blocks of perCode, the ranges
+// given per Code (its Codes are the ones listed there), or every n-th sentence round-robin
+function splitAssignments(candidates, codes, { method, perCode = 0, ranges = {} }) {
+  if (method === "range") {
+    const allowed = new Set(candidates);
+    return Object.entries(ranges).map(([code, indices]) => ({ code, indices: indices.filter((i) => allowed.has(i)) }));
+  }
+  if (method === "roundrobin") return codes.map((code, k) => ({ code, indices: candidates.filter((_, n) => n % codes.length === k) }));
+  return codes.map((code, k) => ({ code, indices: candidates.slice(k * perCode, (k + 1) * perCode) }));
+}
+
+// The project bundle for one Code's part; the id is stable for the same master script, Code and sentences
+function makeAssignmentBundle({ sentences, indices, code, part, parts, method, masterScriptId, projectName }) {
+  const { txt, metaKeys, rows } = sentencesToJsonl(sentences, indices, { sourceIndex: true });
+  return {
+    format: BUNDLE_FORMAT,
+    version: 1,
+    project_name: `${projectName || "project"} - ${code}`,
+    assignment: { id: `asg-${hashText(`${masterScriptId}:${code}:${indices.join(",")}`)}`, code, part, parts, method, master_script_id: masterScriptId, master_project: projectName, sentences: indices.length },
+    file_type: "jsonl",
+    options: { jsonlKey: "text", jsonlIdKey: "id", jsonlMetaKeys: metaKeys },
+    raw_text: txt,
+    id_map: rows.map((r) => ({ id: r.id, source_index: r.source_index })),
+    created_at: nowIso(),
+  };
+}
+
 function assertEqual(name, actual, expected) {
   const ok = JSON.stringify(actual) === JSON.stringify(expected);
   if (!ok) {
@@ -279,6 +1143,22 @@ function runParsingTests() {
     const { values: csvVals4 } = parseCsv(csv3, { columnIndex: 99, hasHeader: true });
     assertEqual("parseCsv() clamps out-of-range column index", csvVals4, [{text: "2", id: null}, {text: "4", id: null}]);
 
+    // CSV quoting (RFC 4180): commas, escaped quotes and line breaks inside quoted fields
+    const csv4 = 'id,text\r\n1,"Hei, sa han."\r\n2,"Hun svarte ""ja"""\r\n3,"to\nlinjer"\r\n';
+    const { values: csvVals5 } = parseCsv(csv4, { columnIndex: 1, hasHeader: true });
+    assertEqual("parseCsv() handles quoted fields", csvVals5.map(v => v.text), ["Hei, sa han.", 'Hun svarte "ja"', "to\nlinjer"]);
+    assertEqual("parseDelimitedRows() skips blank lines", parseDelimitedRows("a,b\n\nc,d"), [["a", "b"], ["c", "d"]]);
+    assertEqual("parseDelimitedRows() keeps empty fields", parseDelimitedRows('a,,"",d'), [["a", "", "", "d"]]);
+
+    // Delimiter detection and override
+    assertEqual("detectDelimiter() semicolon", detectDelimiter("tekst;kilde\nHei, du;bok\nHallo;avis\n"), ";");
+    assertEqual("detectDelimiter() tab", detectDelimiter("tekst\tkilde\nHei, du\tbok\n"), "\t");
+    assertEqual("detectDelimiter() comma", detectDelimiter(csv1), ",");
+    const { values: csvVals6, delimiter: csvDelim6 } = parseCsv("tekst;kilde\nHei, du;bok\n", { columnIndex: 0, hasHeader: true });
+    assertEqual("parseCsv() auto-detects delimiter", [csvVals6.map(v => v.text), csvDelim6], [["Hei, du"], ";"]);
+    const { values: csvVals7 } = parseCsv("a;b\nc;d\n", { columnIndex: 0, hasHeader: false, delimiter: "," });
+    assertEqual("parseCsv() honours manual delimiter", csvVals7.map(v => v.text), ["a;b", "c;d"]);
+
     // JSONL default key
     const jsonl1 = '{"text":"hi"}\n{"text":"there"}\n{"nottext":"x"}\n';
     assertEqual("parseJsonl() default key", parseJsonl(jsonl1), [{text: "hi", id: null}, {text: "there", id: null}]);
@@ -291,6 +1171,51 @@ function runParsingTests() {
     const jsonl3 = '{"text":"hello","id":"abc123"}\n{"text":"world","id":"def456"}\n';
     assertEqual("parseJsonl() preserves id field", parseJsonl(jsonl3), [{text: "hello", id: "abc123"}, {text: "world", id: "def456"}]);
 
+    // ID column and passthrough fields
+    const csvMeta = "sid,text,domain,style\ns1,Hei,news,formal\ns2,Hallo,,casual\n";
+    assertEqual("parseCsv() id column and meta columns", parseCsv(csvMeta, { columnIndex: 1, idColumnIndex: 0, metaColumns: [2, 3] }).values, [
+      { text: "Hei", id: "s1", meta: { domain: "news", style: "formal" } },
+      { text: "Hallo", id: "s2", meta: { domain: "", style: "casual" } },
+    ]);
+    const jsonlMeta = '{"uid":7,"text":"hei","source":"nrk","n":1}\n{"text":"hallo"}\n';
+    assertEqual("parseJsonl() custom id key and meta keys", parseJsonl(jsonlMeta, { idKey: "uid", metaKeys: ["source", "n"] }), [
+      { text: "hei", id: 7, meta: { source: "nrk", n: 1 } },
+      { text: "hallo", id: null, meta: { source: null, n: null } },
+    ]);
+    assertEqual("parseJsonl() no id key", parseJsonl(jsonl3, { idKey: "" }).map(s => s.id), [null, null]);
+
+    // Running prose: Norwegian sentence splitting
+    const proseTexts = (txt, opts) => parseProse(txt, opts).map(s => s.text);
+    assertEqual("parseProse() keeps abbreviations", proseTexts("Vi kjøpte bl.a. epler, f.eks. Granny Smith. Det kostet kr. 250 totalt."), ["Vi kjøpte bl.a. epler, f.eks. Granny Smith.", "Det kostet kr. 250 totalt."]);
+    assertEqual("parseProse() keeps ordinals", proseTexts("Den 17. mai feirer vi. Toget går kl. 14.30 fra spor 2."), ["Den 17. mai feirer vi.", "Toget går kl. 14.30 fra spor 2."]);
+    assertEqual("parseProse() quotes and dialogue dashes", proseTexts("«Kom hit!» ropte hun. – Hvorfor det? spurte han. – Fordi jeg sier det."), ["«Kom hit!» ropte hun.", "– Hvorfor det? spurte han.", "– Fordi jeg sier det."]);
+    assertEqual("parseProse() joins wrapped lines, splits paragraphs", proseTexts("Første linje\nfortsetter her. Og slutter.\n\nNytt avsnitt"), ["Første linje fortsetter her.", "Og slutter.", "Nytt avsnitt"]);
+    assertEqual("parseProse() sentence-final abbreviation", proseTexts("Vi solgte epler, pærer osv. Neste år blir det plommer."), ["Vi solgte epler, pærer osv.", "Neste år blir det plommer."]);
+    assertEqual("parseProse() max length splits at clause breaks", proseTexts("Dette er en ganske lang setning, og den fortsetter litt til.", { maxLength: 40 }), ["Dette er en ganske lang setning,", "og den fortsetter litt til."]);
+    assertEqual("parseProse() markdown", proseTexts("# Tittel\n\nDette er **fet** og [lenket](http://x.no) tekst. Slutt.\n\n- Punkt én\n- Punkt to\n\n```\nkode\n```", { markdown: true }), ["Tittel", "Dette er fet og lenket tekst.", "Slutt.", "Punkt én", "Punkt to"]);
+
+    // Norwegian text normalization
+    const spoken = (txt, lang = "nb") => normalizeNorwegian(txt, lang);
+    assertEqual("normalizeNorwegian dates", [spoken("17. mai er nasjonaldagen."), spoken("Den 17.05.2024 var fin."), spoken("Grunnloven kom i 1814.")], ["Syttende mai er nasjonaldagen.", "Den syttende mai to tusen og tjuefire var fin.", "Grunnloven kom i atten hundre og fjorten."]);
+    assertEqual("normalizeNorwegian money", [spoken("Det koster kr 250."), spoken("Det koster kr 12,50."), spoken("Prisen er 250,-")], ["Det koster to hundre og femti kroner.", "Det koster tolv kroner og femti øre.", "Prisen er to hundre og femti kroner"]);
+    assertEqual("normalizeNorwegian times and units", [spoken("Vi møtes kl. 14.30."), spoken("Toget går 9:05."), spoken("Han gikk 3,5 km."), spoken("Renta er 25 %."), spoken("Det var -5 °C.")], ["Vi møtes klokka fjorten tretti.", "Toget går klokka ni null fem.", "Han gikk tre komma fem kilometer.", "Renta er tjuefem prosent.", "Det var minus fem grader."]);
+    assertEqual("normalizeNorwegian numbers and abbreviations", [spoken("Det bor 1 250 000 her."), spoken("21 hus, 2-3 dager, 3. plass."), spoken("Vi har f.eks. epler, pærer osv.")], ["Det bor en million to hundre og femti tusen her.", "Tjueen hus, to-tre dager, tredje plass.", "Vi har for eksempel epler, pærer og så videre."]);
+    assertEqual("normalizeNorwegian dotted thousands and decades", [spoken("1.000.000"), spoken("Det kostet kr 1.500."), spoken("1990-tallet"), spoken("På 1800-tallet og 90-talet.", "nn"), spoken("Versjon 1.2345 og 3/4.")],
+      ["En million", "Det kostet tusen fem hundre kroner.", "Nittennittitallet", "På attenhundretallet og nittitalet.", "Versjon 1.2345 og 3/4."]);
+    assertEqual("normalizeNorwegian nynorsk", [spoken("17. mai og 21 hus.", "nn"), spoken("Vi har f.eks. 1 bil.", "nn")], ["Syttande mai og tjueein hus.", "Vi har til dømes ein bil."]);
+    assertEqual("ordinalToWords", [ordinalToWords(21), ordinalToWords(30), ordinalToWords(101), ordinalToWords(100), ordinalToWords(13, "nn")], ["tjueførste", "trettiende", "hundre og første", "hundrede", "trettande"]);
+
+    // In-app edits and skips follow the parsed text, not just the index
+    const editBase = [{ text: "Hei", id: "a" }, { text: "Tpyo her", id: "b" }, { text: "Stygt", id: "c" }];
+    const scriptEditsTest = { text: { 1: { from: "Tpyo her", to: "Typo her" }, 2: { from: "Annet", to: "X" } }, skipped: { 2: { reason: "offensive", text: "Stygt", at: "t" } } };
+    assertEqual("applyScriptEdits", applyScriptEdits(editBase, scriptEditsTest), [{ text: "Hei", id: "a" }, { text: "Typo her", id: "b", originalText: "Tpyo her" }, { text: "Stygt", id: "c", skipped: "offensive", skippedAt: "t" }]);
+    assertEqual("applyScriptEdits ignores moved sentences", applyScriptEdits(editBase.slice(1), scriptEditsTest).map(s => [s.text, s.skipped ?? null]), [["Tpyo her", null], ["Stygt", null]]);
+
+    // Speaker profile fields round-trip through their text form
+    const speakerFieldsText = "age_range | Age range | 18-29, 30-44\nDialect Region | Dialekt\n\nage_range | Duplicate";
+    assertEqual("parseSpeakerFields", parseSpeakerFields(speakerFieldsText), [{ key: "age_range", label: "Age range", options: ["18-29", "30-44"] }, { key: "dialect_region", label: "Dialekt", options: [] }]);
+    assertEqual("formatSpeakerFields round-trip", parseSpeakerFields(formatSpeakerFields(DEFAULT_SPEAKER_SETTINGS.fields)), DEFAULT_SPEAKER_SETTINGS.fields);
+
     // EXTRA tests
     assertEqual("splitLines handles trailing newline", splitLines("x\n"), ["x", ""]);
     const badJsonl = '{"text":"ok"}\nnot-json\n{"text":"fine"}\n';
@@ -307,6 +1232,181 @@ function runParsingTests() {
     const segs = segmentTakeByLog({ take, pcm: new Float32Array(3000), sampleRate: 1000, allLogs: logs, sentencesLen: 100 });
     assertEqual("segmentTakeByLog idx sequence", segs.map(s => s.idx), [5, 6, 5]);
 
+    // Absolute navigation: jumps move to their target, and a logged target wins over replaying +1/-1
+    const jumpLogs = [logs[0], { ...logs[1], action: "jump", to: 40 }, { ...logs[2], to: 12 }];
+    assertEqual("segmentTakeByLog follows absolute jumps", segmentTakeByLog({ take, pcm: new Float32Array(3000), sampleRate: 1000, allLogs: jumpLogs, sentencesLen: 100 }).map(s => s.idx), [5, 40, 12]);
+    assertEqual("segmentTakeByLog ignores jumps without a target", segmentTakeByLog({ take, pcm: new Float32Array(3000), sampleRate: 1000, allLogs: [logs[0], { ...logs[1], action: "jump" }], sentencesLen: 100 }).map(s => s.idx), [5]);
+
+    // Sample-stamped nav events win over timestamps, scaled to the decoded rate
+    const sampleTake = { ...take, sampleRate: 1000, samples: 3000 };
+    const sampleLogs = [logs[0], { ...logs[1], sample: 1200 }, { ...logs[2], sample: 2100 }];
+    const sampleSegs = segmentTakeByLog({ take: sampleTake, pcm: new Float32Array(6000), sampleRate: 2000, allLogs: sampleLogs, sentencesLen: 100 });
+    assertEqual("segmentTakeByLog uses sample positions", sampleSegs.map(s => [s.idx, s.sampleStart, s.sampleEnd]), [[5, 0, 2400], [6, 2400, 4200], [5, 4200, 6000]]);
+    const partialSegs = segmentTakeByLog({ take: sampleTake, pcm: new Float32Array(3000), sampleRate: 1000, allLogs: [logs[0], sampleLogs[1], logs[2]], sentencesLen: 100 });
+    assertEqual("segmentTakeByLog falls back to timestamps without samples", partialSegs.map(s => s.sampleStart), [0, 1000, 2000]);
+
+    // Journal replay: sessions, last position and takes that were never stopped
+    const journalLog = [
+      { ts: "2024-01-01T10:00:00Z", action: "session_started", sessionId: "A", index: 0 },
+      { ts: "2024-01-01T10:00:01Z", action: "record_start", sessionId: "A", index: 3 },
+      { ts: "2024-01-01T10:00:02Z", action: "nav_next", sessionId: "A", index: 4, to: 4 },
+      { ts: "2024-01-01T10:00:03Z", action: "record_stop", sessionId: "A", index: 4 },
+      { ts: "2024-01-01T10:00:04Z", action: "record_start", sessionId: "A", index: 4 },
+      { ts: "2024-01-01T10:00:05Z", action: "jump", sessionId: "A", index: 9, to: 9 },
+      { ts: "2024-01-01T11:00:00Z", action: "session_started", sessionId: "B", index: 9 },
+      { ts: "2024-01-01T11:00:01Z", action: "record_start", sessionId: "B", index: 9 },
+      { ts: "2024-01-01T11:00:02Z", action: "record_start", sessionId: "B", index: 9 },
+      { ts: "2024-01-01T11:00:03Z", action: "record_stop", sessionId: "B", index: 9 },
+    ];
+    const replayed = replayJournal(journalLog);
+    assertEqual("replayJournal sessions and position", [replayed.sessions.map(s => s.id), replayed.index], [["A", "B"], 9]);
+    assertEqual("replayJournal flags missing record_stop", replayed.issues.map(i => [i.sessionId, i.ts]), [["B", "2024-01-01T11:00:01Z"], ["A", "2024-01-01T10:00:04Z"]]);
+    // Phonetic coverage: G2P rules and lexicon, units per sentence, greedy selection
+    assertEqual("g2pNorwegian rules", ["skjønn", "kjøre", "ski", "hjem", "norsk", "sang", "barn", "land", "gutt", "kino", "og"].map((w) => g2pNorwegian(w).join(" ")),
+      ["S 9 n", "C 2: r @", "S i:", "j e: m", "n O s` k", "s A N", "b A n`", "l A n", "g } t", "C i: n u", "O:"]);
+    assertEqual("coverageUnits", coverageUnits("Ja, tre."), { phones: ["j", "A:", "t", "r", "e:"], diphones: ["#-j", "j-A:", "A:-t", "t-r", "r-e:", "e:-#"], bigrams: ["_j", "ja", "a_", "_t", "tr", "re", "e_"] });
+    const coverageTest = ["Ja.", "Ja, ja.", "Tre hus.", "Ja, tre."].map(coverageUnits);
+    assertEqual("greedyCoverageSelect prefers new units per phone, then script order", greedyCoverageSelect(coverageTest, [0, 1, 2, 3], 4), [0, 2, 3, 1]);
+    assertEqual("coverageCounts", [...coverageCounts(coverageTest, [0, 1]).phones], [["j", 3], ["A:", 3]]);
+    // Coordinator assignments: Codes and ranges as typed, the three split methods, bundles with source indices
+    assertEqual("parseCodes", parseCodes("ab12, CD34\nab12 ;ef56"), ["AB12", "CD34", "EF56"]);
+    assertEqual("parseAssignmentRanges", parseAssignmentRanges("ab12 1-3, 6\nCD34: 9-12\n\nEF56", 10), { AB12: [0, 1, 2, 5], CD34: [8, 9] });
+    assertEqual("formatRanges", [formatRanges([5, 0, 2, 1]), formatRanges([])], ["1-3 6", ""]);
+    const assignmentCandidates = [0, 1, 2, 4, 5, 6, 7];
+    assertEqual("splitAssignments count", splitAssignments(assignmentCandidates, ["A", "B"], { method: "count", perCode: 3 }), [{ code: "A", indices: [0, 1, 2] }, { code: "B", indices: [4, 5, 6] }]);
+    assertEqual("splitAssignments round-robin", splitAssignments(assignmentCandidates, ["A", "B"], { method: "roundrobin" }).map((a) => a.indices), [[0, 2, 5, 7], [1, 4, 6]]);
+    assertEqual("splitAssignments ranges leave out skipped", splitAssignments(assignmentCandidates, [], { method: "range", ranges: { A: [2, 3, 4] } }), [{ code: "A", indices: [2, 4] }]);
+    const testBundle = makeAssignmentBundle({ sentences: [{ text: "En." }, { text: "To.", id: "s2", meta: { speaker: "x" } }, { text: "Tre." }], indices: [1, 2], code: "B", part: 2, parts: 2, method: "count", masterScriptId: "m1", projectName: "P" });
+    assertEqual("makeAssignmentBundle script and id map", [testBundle.raw_text, testBundle.options.jsonlMetaKeys, testBundle.id_map, testBundle.assignment.sentences],
+      ['{"speaker":"x","text":"To.","id":"s2","source_index":1}\n{"text":"Tre.","id":"3","source_index":2}', ["speaker", "source_index"], [{ id: "s2", source_index: 1 }, { id: "3", source_index: 2 }], 2]);
+    // Take upload: the take's events and prompts, chunk URLs and the retry backoff
+    const uploadTake = { sessionId: "A", startedAt: "2024-01-01T10:00:00.000Z" };
+    const uploadLog = [
+      { ts: "2024-01-01T09:59:59.000Z", action: "nav_next", sessionId: "A", index: 2, to: 2 },
+      { ts: "2024-01-01T10:00:00.003Z", action: "record_start", sessionId: "A", index: 2 },
+      { ts: "2024-01-01T10:00:01.000Z", action: "user_code_updated", sessionId: "B", index: 2 },
+      { ts: "2024-01-01T10:00:02.000Z", action: "nav_next", sessionId: "A", index: 3, to: 3 },
+      { ts: "2024-01-01T10:00:03.000Z", action: "record_stop", sessionId: "A", index: 3 },
+      { ts: "2024-01-01T10:00:04.000Z", action: "record_start", sessionId: "A", index: 3 },
+    ];
+    const uploadEvents = takeEvents(uploadTake, uploadLog);
+    assertEqual("takeEvents from record_start to record_stop", uploadEvents.map((e) => e.action), ["record_start", "nav_next", "record_stop"]);
+    assertEqual("takePrompts", takePrompts(uploadEvents, [{ text: "a" }, { text: "b" }, { text: "c" }, { text: "d", id: "s4" }]), [{ index: 2, id: null, text: "c" }, { index: 3, id: "s4", text: "d" }]);
+    assertEqual("uploadChunkUrl keeps the query", [uploadChunkUrl("https://x.org/ingest/?k=1", "up-1"), uploadChunkUrl("https://x.org", "up-1")], ["https://x.org/ingest/up-1?k=1", "https://x.org/up-1"]);
+    assertEqual("uploadRetryDelayMs backs off up to the cap", [1, 2, 4, 20].map(uploadRetryDelayMs), [5000, 10000, 40000, 600000]);
+    assertEqual("isHttpUrl", ["https://x.org/a", "ftp://x.org", "x.org"].map(isHttpUrl), [true, false, false]);
+    // Dataset import: metadata read back and takes rebuilt from their clips
+    const importedRows = parseMetadataCsv(['file,sentence_index,text,session_id,take_started_at,offset_start_sec,refined_start_sec,refined_end_sec,gain_db', `audio/clips/0001.wav,0,${JSON.stringify('Han sa "hei", da')},A,2024-01-01T10:00:00.000Z,0.000,0.100,1.100,6.02`, 'audio/all_sessions.wav,1,"",A,2024-01-01T10:00:00.000Z,1.000,1.100,1.600,'].join("\n"));
+    assertEqual("parseMetadataCsv JSON-quoted cells", [importedRows[0].text, importedRows[0].session_id, importedRows[1].gain_db], ['Han sa "hei", da', "A", ""]);
+    const importLog = [{ ts: "2024-01-01T10:00:00.004Z", action: "record_start", sessionId: "A", index: 0, sampleRate: 48000 }, { ts: "2024-01-01T10:00:02.100Z", action: "record_stop", sessionId: "A", samples: 96000 }];
+    const [importedTake] = datasetImportTakes({ manifest: { takes: ["A::2024-01-01T10:00:00.000Z"], audio: { format: "wav" } }, metadata: importedRows, log: importLog });
+    assertEqual("datasetImportTakes timing and clip placement", [importedTake.take, importedTake.durationSec, importedTake.clips.map(c => [c.file, c.masterStartSec, c.takeStartSec])],
+      [{ idx: 0, startedAt: "2024-01-01T10:00:00.000Z", endedAt: "2024-01-01T10:00:02.100Z", sessionId: "A", sampleRate: 48000, samples: 96000 }, 2, [["audio/clips/0001.wav", null, 0.1], [null, 1, 1.1]]]);
+    const assembled = assembleTakePcm(importedTake, [new Float32Array(10).fill(0.5), new Float32Array(5).fill(0.25)], 10);
+    assertEqual("assembleTakePcm undoes gain, silence between clips", Array.from(assembled).map(v => Math.round(v * 100) / 100), [0, 0.25, 0.25, 0.25, 0.25, 0.25, 0.25, 0.25, 0.25, 0.25, 0.25, 0.25, 0.25, 0.25, 0.25, 0.25, 0, 0, 0, 0]);
+    assertEqual("replayJournal skips resolved issues", replayJournal([...journalLog, { action: "journal_issue_resolved", recordStart: "2024-01-01T10:00:04Z" }]).issues.length, 1);
+
+    // Sentence status from log-only segments: flicking past a sentence doesn't record it
+    assertEqual("takeSegmentsFromLog matches decoded keys and durations", takeSegmentsFromLog({ take: sampleTake, allLogs: sampleLogs, sentencesLen: 100 }).map(s => [s.idx, s.key, s.durationSec]),
+      segmentTakeWithKeys({ take: sampleTake, pcm: new Float32Array(3000), sampleRate: 1000, allLogs: sampleLogs, sentencesLen: 100 }).map(s => [s.idx, s.key, s.durationSec]));
+    const statusSentences = [{ text: "a" }, { text: "b" }, { text: "c" }, { text: "d", skipped: "typo" }, { text: "e" }];
+    const statusSegs = [
+      { idx: 0, key: "t1#0", durationSec: 2, startedAt: "2024-01-01T10:00:00Z" },
+      { idx: 1, key: "t1#1", durationSec: 0.2, startedAt: "2024-01-01T10:00:00Z" },
+      { idx: 2, key: "t1#2", durationSec: 2, startedAt: "2024-01-01T10:00:00Z" },
+      { idx: 4, key: "t1#3", durationSec: 2, startedAt: "2024-01-01T10:00:00Z" },
+    ];
+    assertEqual("sentenceStatuses", sentenceStatuses({ sentences: statusSentences, segments: statusSegs, review: { status: { "t1#2": "rejected" } }, retakes: { 4: "2024-01-01T11:00:00Z" } }), ["recorded", "pending", "retake", "skipped", "retake"]);
+    assertEqual("sentenceStatuses retake cleared by a later take", sentenceStatuses({ sentences: statusSentences.slice(4), segments: [{ ...statusSegs[3], idx: 0 }, { idx: 0, key: "t2#0", durationSec: 2, startedAt: "2024-01-01T12:00:00Z" }], retakes: { 0: "2024-01-01T11:00:00Z" } }), ["recorded"]);
+    assertEqual("nextWithStatus wraps around", [nextWithStatus(["pending", "recorded", "pending"], 0), nextWithStatus(["pending", "recorded", "recorded"], 1), nextWithStatus(["recorded"], 0)], [2, 0, -1]);
+
+    // Cut refinement: late keypress inside speech snaps back into the pause, then clips are trimmed to speech + padding
+    const speech = new Float32Array(3000);
+    for (let i = 0; i < 3000; i++) if ((i >= 200 && i < 1000) || (i >= 1300 && i < 2700)) speech[i] = i % 2 ? 0.5 : -0.5;
+    const lateCut = [{ sampleStart: 0, sampleEnd: 1400, idx: 0 }, { sampleStart: 1400, sampleEnd: 3000, idx: 1 }];
+    const refineOpts = { refineCuts: true, searchWindowMs: 300, leadPadMs: 50, trailPadMs: 50, silenceMarginDb: 12 };
+    const refined = refineSegments(lateCut, { pcm: speech, sampleRate: 1000, settings: refineOpts });
+    assertEqual("refineSegments snaps and pads", refined.map(s => [s.sampleStart, s.sampleEnd]), [[150, 1050], [1250, 2750]]);
+    assertEqual("refineSegments keeps keypress cuts", refined.map(s => [s.cutStart, s.cutEnd]), [[0, 1400], [1400, 3000]]);
+    // QC metrics and flags
+    const qcClip = new Float32Array(1000);
+    for (let i = 0; i < 1000; i++) qcClip[i] = i >= 300 && i < 800 ? (i % 2 ? 1 : -1) : (i % 2 ? 0.001 : -0.001);
+    const qcMetrics = analyzeClip(qcClip, 1000);
+    assertEqual("analyzeClip counts clipped samples", qcMetrics.clippedSamples, 500);
+    assertEqual("analyzeClip speech ratio and SNR", [qcMetrics.speechRatio, Math.round(qcMetrics.snrDb)], [0.5, 60]);
+    assertEqual("qcFlags flags clipping only", qcFlags(qcMetrics, DEFAULT_EXPORT_SETTINGS), ["clipping"]);
+    assertEqual("qcFlags flags silence", qcFlags(analyzeClip(new Float32Array(1000), 1000), DEFAULT_EXPORT_SETTINGS), ["low_peak", "near_silent", "low_snr", "little_speech"]);
+
+    // Export profiles: clip naming and index files
+    assertEqual("clipBaseName default", clipBaseName("", { n: 3, idx: 9, id: null, speaker: "AB", session: "S" }), "0003_sent0010");
+    assertEqual("clipBaseName template with id fallback", [clipBaseName("{speaker}_{id}", { n: 1, idx: 0, id: "nb 01/a", speaker: "AB" }), clipBaseName("{id}", { n: 1, idx: 4, id: null })], ["AB_nb_01_a", "0005"]);
+    const usedNames = new Set();
+    assertEqual("uniqueName suffixes duplicates", ["x", "x", "x"].map(n => uniqueName(n, usedNames)), ["x", "x_2", "x_3"]);
+    const profileRecords = [
+      { name: "b", file: "wavs/b.wav", text: "To|tre", id: "s2", idx: 1, sessionId: "S", startSec: 11.5, endSec: 13, masterStartSec: 1.5, masterEndSec: 3, durationSec: 1.5 },
+      { name: "a", file: "wavs/a.wav", text: "En\nlinje", id: "s1", idx: 0, sessionId: "S", startSec: 10, endSec: 11.5, masterStartSec: 0, masterEndSec: 1.5, durationSec: 1.5 },
+    ];
+    assertEqual("profileIndexFiles ljspeech", profileIndexFiles("ljspeech", profileRecords, { speaker: "AB" })["metadata.csv"], "b|To/tre|To/tre\na|En linje|En linje");
+    assertEqual("profileIndexFiles ljspeech normalized column", profileIndexFiles("ljspeech", [{ ...profileRecords[0], text: "Kr 250", normalized: "To hundre og femti kroner" }], { speaker: "AB" })["metadata.csv"], "b|Kr 250|To hundre og femti kroner");
+    const kaldiFiles = profileIndexFiles("kaldi", profileRecords, { speaker: "AB" });
+    assertEqual("profileIndexFiles kaldi segments sorted", kaldiFiles["data/segments"], "AB-a AB-all_sessions 0.000 1.500\nAB-b AB-all_sessions 1.500 3.000");
+    assertEqual("profileIndexFiles kaldi spk2utt", kaldiFiles["data/spk2utt"], "AB AB-a AB-b");
+    assertEqual("profileClipPath vctk", [48000, 22050].map((sampleRate) => profileClipPath("vctk", { speaker: "AB", name: "0001", sampleRate })), ["wav48/AB/AB_0001.wav", "wav22/AB/AB_0001.wav"]);
+    assertEqual("profileIndexFiles kaldi flac pipe", profileIndexFiles("kaldi", profileRecords, { speaker: "AB", ext: "flac" })["data/wav.scp"], "AB-all_sessions flac -c -d -s audio/all_sessions.flac |");
+
+    // Streaming output: CRC check value and combining, incremental encoders produce the same bytes as one-shot ones
+    const bytesOf = (text) => new TextEncoder().encode(text);
+    assertEqual("crc32 check value", crc32(bytesOf("123456789")).toString(16), "cbf43926");
+    assertEqual("crc32Combine", crc32Combine(crc32(bytesOf("1234")), crc32(bytesOf("56789")), 5), crc32(bytesOf("123456789")));
+    const streamInput = Float32Array.from({ length: 9000 }, (_, i) => Math.sin(i / 7) * 0.3);
+    const joinParts = (parts) => { const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0)); let o = 0; for (const p of parts) { out.set(p, o); o += p.length; } return Array.from(out); };
+    for (const format of ["wav", "flac"]) {
+      const stream = createAudioStream({ sampleRate: 24000, bitDepth: 24, format });
+      const body = [...stream.push(streamInput.subarray(0, 5000)), ...stream.push(streamInput.subarray(5000))];
+      const { header, frames } = stream.end();
+      assertEqual(`createAudioStream ${format} matches encodeAudio`, joinParts([header, ...body, ...frames]), joinParts(encodeAudio(streamInput, { sampleRate: 24000, bitDepth: 24, format }).parts));
+    }
+    for (const bitDepth of [16, 24, 32]) {
+      const decoded = decodeWav(new Uint8Array(joinParts(encodeAudio(streamInput, { sampleRate: 24000, bitDepth, format: "wav" }).parts)));
+      assertEqual(`decodeWav ${bitDepth}-bit round trip`, [decoded.sampleRate, decoded.pcm.length, decoded.pcm.every((v, i) => Math.abs(v - streamInput[i]) < 1e-4)], [24000, 9000, true]);
+    }
+    const rawTake = { idx: 3, startedAt: "2024-01-01T10:00:00.000Z", endedAt: "2024-01-01T10:00:05.000Z", sessionId: "s-1", sampleRate: 48000, samples: 240000 };
+    const rawEntry = rawTakeEntry(rawTake, rawTakePath(rawTake, "audio/webm;codecs=opus"), "audio/webm;codecs=opus");
+    assertEqual("raw take path and takes.json round trip", [rawEntry.file, takeFromRawEntry(rawEntry)], ["takes/s-1_2024-01-01T10-00-00.000Z.webm", rawTake]);
+    assertEqual("raw take path for an mp4 take", rawTakePath(rawTake, "audio/mp4"), "takes/s-1_2024-01-01T10-00-00.000Z.m4a");
+    const testZip = createZipWriter();
+    testZip.add("a.txt", "hei");
+    testZip.add("b/æ.txt", [bytesOf("x"), bytesOf("yz")]);
+    assertEqual("createZipWriter offsets", testZip.size, (30 + 5 + 3) + (30 + 8 + 3));
+
+    // Loudness: a full-scale 997 Hz sine reads -3.01 LUFS; true peak catches inter-sample peaks; gain toward targets
+    const sine = (n, f, rate, amp = 1, phase = 0) => Float32Array.from({ length: n }, (_, i) => amp * Math.sin(2 * Math.PI * f * i / rate + phase));
+    assertEqual("integratedLoudness reference sine", [Math.round(integratedLoudness(sine(96000, 997, 48000), 48000) * 10) / 10, Math.round(integratedLoudness(sine(44100, 997, 22050, 0.1), 22050) * 10) / 10], [-3, -23]);
+    assertEqual("integratedLoudness silence", integratedLoudness(new Float32Array(4800), 48000), -Infinity);
+    const interSample = sine(4800, 12000, 48000, 1, Math.PI / 4);
+    assertEqual("truePeakDbtp above sample peak", [Math.round(toDb(Math.max(...interSample))), Math.round(truePeakDbtp(interSample) * 2) / 2], [-3, 0]);
+    assertEqual("normalizationGainDb modes", [
+      normalizationGainDb({ peakDbfs: -7 }, { normalizeMode: "peak", normalizePeakDbfs: -1 }),
+      normalizationGainDb({ peakDbfs: -10, lufs: -30, truePeak: -10 }, { normalizeMode: "loudness", normalizeLufs: -23, normalizeTruePeakDbtp: -1 }),
+      normalizationGainDb({ peakDbfs: -3, lufs: -30, truePeak: -3 }, { normalizeMode: "loudness", normalizeLufs: -23, normalizeTruePeakDbtp: -1 }),
+      normalizationGainDb({ peakDbfs: -200, lufs: -Infinity, truePeak: -200 }, { normalizeMode: "loudness", normalizeLufs: -23, normalizeTruePeakDbtp: -1 }),
+    ], [6, 7, 2, 0]);
+    const sessionNorm = normalizeSegments([{ pcm: sine(4800, 440, 48000, 0.25), sessionId: "A" }, { pcm: sine(4800, 440, 48000, 0.5), sessionId: "A" }], 48000, { normalizeMode: "peak", normalizeScope: "session", normalizePeakDbfs: 0 });
+    assertEqual("normalizeSegments one gain per session", sessionNorm.map(s => Math.round(s.gainDb * 10) / 10), [6, 6]);
+    assertEqual("normalizeSegments off skips loudness", normalizeSegments([{ pcm: sine(4800, 440, 48000, 0.25) }], 48000, { normalizeMode: "off" }).map(s => [s.gainDb, s.lufsBefore, s.truePeakDbtp]), [[0, null, null]]);
+
+    // Output encoding: integer quantization and WAV headers per bit depth
+    assertEqual("quantizePcm 16/24-bit", [Array.from(quantizePcm(new Float32Array([-1, 1, 0.5, 2]), 16)), Array.from(quantizePcm(new Float32Array([-1, 1]), 24))], [[-32768, 32767, 16384, 32767], [-8388608, 8388607]]);
+    assertEqual("fixedResiduals order 2 of a ramp", fixedResiduals([1, 3, 5, 7, 9], 2), [0, 0, 0]);
+
+    assertEqual("refineSegments disabled leaves cuts", refineSegments(lateCut, { pcm: speech, sampleRate: 1000, settings: { refineCuts: false } }).map(s => [s.sampleStart, s.sampleEnd]), [[0, 1400], [1400, 3000]]);
+
+    // Review decisions applied to export
+    const reviewSegs = [{ key: "a", idx: 0 }, { key: "b", idx: 0 }, { key: "c", idx: 1 }, { key: "d", idx: 1 }, { key: "e", idx: 2 }, { key: "f", idx: 2 }];
+    const review = { status: { a: "rejected", c: "accepted", f: "rejected" }, best: { 2: "e" } };
+    assertEqual("selectSegmentsForExport applies reject/accept/best", selectSegmentsForExport(reviewSegs, review).map(s => s.key), ["b", "c", "e"]);
+    assertEqual("selectSegmentsForExport keeps all without review", selectSegmentsForExport(reviewSegs).map(s => s.key), ["a", "b", "c", "d", "e", "f"]);
+
     return true;
   } catch (e) {
     return false;
@@ -319,17 +1419,32 @@ export default function App() {
   const [projectName, setProjectName] = useState("Untitled Project");
   const [sentences, setSentences] = useState([]);
   const [index, setIndex] = useState(0);
+  // the current position for code that runs outside a render (log entries from async callbacks, journal restore)
+  const indexRef = useRef(0);
+  const setPosition = (i) => { indexRef.current = i; setIndex(i); };
   const [stream, setStream] = useState(null);
   const [devices, setDevices] = useState([]);
   const [selectedDeviceId, setSelectedDeviceId] = useState("");
   const [recorder, setRecorder] = useState(null);
   const [isRecording, setIsRecording] = useState(false);
   const [micError, setMicError] = useState("");
-  const [recordedIndices, setRecordedIndices] = useState(new Set());
+  const [retakes, setRetakes] = useState({}); // { [idx]: markedAt } sentences the reader marked for a retake
+  const [loadedScriptId, setLoadedScriptId] = useState(null); // script whose recordings have finished loading
+  const [journalIssues, setJournalIssues] = useState([]); // takes the journal shows started but never stopped
   const [sessions, setSessions] = useState([]); // {id, start, end?, takes:[]}
   const currentSessionId = useRef(null);
   const chunksRef = useRef([]);
   const [log, setLog] = useState([]);
+  const [review, setReview] = useState({ status: {}, best: {} });
+  const [scriptEdits, setScriptEdits] = useState(EMPTY_SCRIPT_EDITS);
+  const [editingText, setEditingText] = useState(null); // draft while the current sentence is being edited
+  const [exportSettings, setExportSettings] = useState(() => loadSettings(EXPORT_SETTINGS_KEY, DEFAULT_EXPORT_SETTINGS));
+  const [recordingSettings, setRecordingSettings] = useState(() => loadSettings(RECORDING_SETTINGS_KEY, DEFAULT_RECORDING_SETTINGS));
+  const [speakerSettings, setSpeakerSettings] = useState(() => loadSettings(SPEAKER_SETTINGS_KEY, DEFAULT_SPEAKER_SETTINGS));
+  const [uploadSettings, setUploadSettings] = useState(() => loadSettings(UPLOAD_SETTINGS_KEY, DEFAULT_UPLOAD_SETTINGS));
+  const [uploads, setUploads] = useState({}); // upload queue entries by take key, for every Code and script
+  const [speaker, setSpeaker] = useState({ profile: {}, consent: null });
+  const [calibrating, setCalibrating] = useState(false);
   const [testsPassed, setTestsPassed] = useState(null);
 
   // file parsing state
@@ -338,16 +1453,93 @@ export default function App() {
   const [csvHasHeader, setCsvHasHeader] = useState(true);
   const [csvHeaders, setCsvHeaders] = useState([]);
   const [csvColumnIndex, setCsvColumnIndex] = useState(0);
+  const [csvDelimiter, setCsvDelimiter] = useState("auto"); // 'auto' | ',' | ';' | '\t'
+  const [csvDetectedDelimiter, setCsvDetectedDelimiter] = useState(",");
   const [jsonlKey, setJsonlKey] = useState("text");
+  const [csvIdColumn, setCsvIdColumn] = useState(-1); // -1 = no ID column
+  const [csvMetaColumns, setCsvMetaColumns] = useState([]);
+  const [jsonlIdKey, setJsonlIdKey] = useState("id");
+  const [jsonlMetaKeys, setJsonlMetaKeys] = useState([]);
+  const [proseMarkdown, setProseMarkdown] = useState(false);
+  const [proseMaxLength, setProseMaxLength] = useState(DEFAULT_PROSE_MAX_LENGTH);
+  const [textNormalization, setTextNormalization] = useState("off"); // "off" | "nb" | "nn"
+  const [prosePreview, setProsePreview] = useState(null); // { name, filename, txt, markdown } awaiting confirmation
 
   const [isProcessing, setIsProcessing] = useState(false);
   const [progress, setProgress] = useState(0);
   const [progressMsg, setProgressMsg] = useState("");
+  const cancelBuildRef = useRef(null); // aborts the running dataset build
   const [zipBlob, setZipBlob] = useState(null);
+  const [builtExport, setBuiltExport] = useState(null); // history entry of zipBlob, recorded once it is downloaded
+  const [exportHistory, setExportHistory] = useState([]);
+  const [qcReport, setQcReport] = useState(null);
 
   // UI state
   const [showSettings, setShowSettings] = useState(false);
   const [showResume, setShowResume] = useState(false);
+  const [showSpeaker, setShowSpeaker] = useState(false);
+  const [showCoverage, setShowCoverage] = useState(false);
+  const [showCoordinator, setShowCoordinator] = useState(false);
+
+  const scriptId = useMemo(() => (rawFileText ? hashText(rawFileText) : null), [rawFileText]);
+  useEffect(() => { saveSettings(EXPORT_SETTINGS_KEY, exportSettings); }, [exportSettings]);
+  useEffect(() => { saveSettings(RECORDING_SETTINGS_KEY, recordingSettings); }, [recordingSettings]);
+  useEffect(() => { saveSettings(SPEAKER_SETTINGS_KEY, speakerSettings); }, [speakerSettings]);
+  // the queue reads the settings when it sends, so a changed URL or token applies to the takes still waiting
+  const uploadSettingsRef = useRef(uploadSettings);
+  const uploadQueue = useMemo(() => createUploadQueue({ getSettings: () => uploadSettingsRef.current, onChange: (e) => setUploads((u) => ({ ...u, [e.key]: e })) }), []);
+  useEffect(() => {
+    let live = true;
+    idbGetAll("uploads").then((rows) => { if (live) setUploads((u) => ({ ...Object.fromEntries(rows.map((r) => [r.key, r])), ...u })); });
+    const stop = uploadQueue.start();
+    return () => { live = false; stop(); };
+  }, [uploadQueue]);
+  useEffect(() => {
+    saveSettings(UPLOAD_SETTINGS_KEY, uploadSettings);
+    uploadSettingsRef.current = uploadSettings;
+    uploadQueue.pump();
+  }, [uploadSettings, uploadQueue]);
+  useEffect(() => { if (userCode) setSpeaker(getSpeakerProfile(userCode)); }, [userCode]);
+  // consent only counts for the current consent text
+  const hasConsent = speaker.consent?.version === speakerSettings.consentVersion;
+  const updateExportSettings = (patch) => setExportSettings((s) => ({ ...s, ...patch }));
+  const updateRecordingSettings = (patch) => setRecordingSettings((s) => ({ ...s, ...patch }));
+  const updateUploadSettings = (patch) => setUploadSettings((s) => ({ ...s, ...patch }));
+  const restoreTokenRef = useRef(0);
+
+  // Replace in-memory recordings with what is persisted for a Code + Script (or clear them)
+  async function restoreRecordings(code, sid) {
+    const token = ++restoreTokenRef.current;
+    currentSessionId.current = null;
+    setSessions([]);
+    setLog([]);
+    setLoadedScriptId(null);
+    setZipBlob(null);
+    setBuiltExport(null);
+    setQcReport(null);
+    setReview(sid ? getSavedReview({ code, scriptId: sid }) : { status: {}, best: {} });
+    setScriptEdits(sid ? getScriptEdits({ code, scriptId: sid }) : EMPTY_SCRIPT_EDITS);
+    setRetakes(sid ? getSavedStatus({ code, scriptId: sid }).retakes : {});
+    setExportHistory(sid ? getExportHistory({ code, scriptId: sid }) : []);
+    setJournalIssues([]);
+    if (!sid) return;
+    const savedIndex = indexRef.current;
+    const restored = await loadRecordings({ code, scriptId: sid });
+    if (token !== restoreTokenRef.current) return;
+    setSessions(restored.sessions);
+    // entries logged while loading were persisted after the read, so prepend instead of replacing
+    setLog((l) => [...restored.log, ...l]);
+    setJournalIssues(restored.journal.issues);
+    // the journal's last position wins over the saved index, unless the reader already moved
+    const count = loadCodeState(code).scripts?.[sid]?.sentences?.length ?? 0;
+    if (Number.isFinite(restored.journal.index) && count && indexRef.current === savedIndex) {
+      const journalIndex = Math.max(0, Math.min(count - 1, restored.journal.index));
+      indexRef.current = journalIndex;
+      setIndex(journalIndex);
+      persistIndex({ code, scriptId: sid, index: journalIndex });
+    }
+    setLoadedScriptId(sid);
+  }
 
   // Init user code + run lightweight tests once
   useEffect(() => {
@@ -362,14 +1554,35 @@ export default function App() {
       setProjectName(last.projectName || "Untitled Project");
       setFileType(last.fileType || null);
       setRawFileText(last.rawText || "");
-      if (last.fileType === 'csv') { setCsvHasHeader(last.options?.csvHasHeader ?? true); setCsvColumnIndex(last.options?.csvColumnIndex ?? 0); }
-      if (last.fileType === 'jsonl') { setJsonlKey(last.options?.jsonlKey ?? 'text'); }
+      applyParseOptions(last.fileType, last.options);
       setSentences(Array.isArray(last.sentences) ? last.sentences : []);
       const idx = Math.min(Math.max(0, last.index ?? 0), Math.max(0, (last.sentences?.length || 1) - 1));
-      setIndex(idx);
+      setPosition(idx);
+      restoreRecordings(code, last.scriptId);
     }
   }, []);
 
+  // Restore the format-specific parsing controls saved with a script snapshot
+  function applyParseOptions(type, options = {}) {
+    setTextNormalization(options.textNormalization ?? "off");
+    if (type === 'csv') {
+      setCsvHasHeader(options.csvHasHeader ?? true);
+      setCsvColumnIndex(options.csvColumnIndex ?? 0);
+      setCsvDelimiter(options.csvDelimiter ?? 'auto');
+      setCsvIdColumn(options.csvIdColumn ?? -1);
+      setCsvMetaColumns(options.csvMetaColumns ?? []);
+    }
+    if (type === 'prose') {
+      setProseMarkdown(options.proseMarkdown ?? false);
+      setProseMaxLength(options.proseMaxLength ?? DEFAULT_PROSE_MAX_LENGTH);
+    }
+    if (type === 'jsonl') {
+      setJsonlKey(options.jsonlKey ?? 'text');
+      setJsonlIdKey(options.jsonlIdKey ?? 'id');
+      setJsonlMetaKeys(options.jsonlMetaKeys ?? []);
+    }
+  }
+
   async function requestMic() {
     if (!navigator.mediaDevices?.getUserMedia) { setMicError("Your browser does not support getUserMedia. Try Chrome, Edge, or Firefox."); return; }
     try {
@@ -400,85 +1613,154 @@ export default function App() {
   // Keyboard navigation
   useEffect(() => {
     function onKey(e) {
-      if (isProcessing) return;
+      if (isProcessing || calibrating) return;
+      if (e.target instanceof HTMLElement && e.target.closest("input, textarea, select")) return; // typing in a control
       if (e.key === "ArrowRight") { e.preventDefault(); next(); }
       else if (e.key === "ArrowLeft") { e.preventDefault(); prev(); }
       else if (e.code === "Space") { e.preventDefault(); toggleRecord(); }
+      else if (e.key === "n" || e.key === "N") { e.preventDefault(); jumpToNext("pending"); }
       else if (e.key === "Escape" && showSettings) { e.preventDefault(); setShowSettings(false); }
     }
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [index, isRecording, isProcessing, sentences.length, showSettings]);
+  }, [index, isRecording, isProcessing, calibrating, sentences.length, showSettings, statuses]);
 
-  // While recording, any sentence that becomes visible counts as recorded
-  useEffect(() => {
-    if (!isRecording) return;
-    if (!sentences.length) return;
-    setRecordedIndices((prev) => {
-      if (prev.has(index)) return prev;
-      const next = new Set(prev);
-      next.add(index);
-      return next;
-    });
-    addLog("auto_mark_recorded", { reason: "displayed_while_recording", index });
-  }, [index, isRecording, sentences.length]);
+  useEffect(() => { setEditingText(null); }, [index, scriptId]);
 
   function addLog(action, details = {}) {
-    const entry = { ts: nowIso(), userCode, sessionId: currentSessionId.current, index, action, ...details };
+    const entry = { ts: nowIso(), userCode, sessionId: currentSessionId.current, index: indexRef.current, action, ...details };
     setLog((l) => [...l, entry]);
+    if (scriptId) persistLogEntry({ code: userCode, scriptId, entry });
   }
 
-  const prev = () => { if (isProcessing) return; const newIdx = Math.max(0, index - 1); setIndex(newIdx); addLog("nav_prev"); if (sentences.length && rawFileText) persistIndex({ code: userCode, scriptId: hashText(rawFileText), index: newIdx }); };
-  const next = () => { if (isProcessing) return; const newIdx = Math.min(sentences.length - 1, index + 1); setIndex(newIdx); addLog("nav_next"); if (sentences.length && rawFileText) persistIndex({ code: userCode, scriptId: hashText(rawFileText), index: newIdx }); };
+  // Queue a stored take of the current script for upload; the upload id stays the same for the take, so a receiver
+  // that already has it answers with its full size. The MIME type is the blob's, which the recorder labels with what it recorded
+  function queueUpload(take) {
+    const key = takeKey(take);
+    uploadQueue.enqueue({
+      key, code: userCode, scriptId, projectName, uploadId: `up-${hashText(`${userCode}:${scriptId}:${key}`)}`, size: take.blob.size, mimeType: take.blob.type || null,
+      status: "pending", sent: 0, attempts: 0, nextAttemptAt: null, error: null, queuedAt: nowIso(), uploadedAt: null,
+    });
+  }
 
+  const prev = () => { if (isProcessing) return; const newIdx = Math.max(0, index - 1); setPosition(newIdx); addLog("nav_prev", { to: newIdx, ...navStamp() }); if (sentences.length && rawFileText) persistIndex({ code: userCode, scriptId: hashText(rawFileText), index: newIdx }); };
+  const next = () => { if (isProcessing) return; const newIdx = Math.min(sentences.length - 1, index + 1); setPosition(newIdx); addLog("nav_next", { to: newIdx, ...navStamp() }); if (sentences.length && rawFileText) persistIndex({ code: userCode, scriptId: hashText(rawFileText), index: newIdx }); };
+
+  // Clears the in-memory state only; persisted recordings come back via Resume… or by re-uploading the script
   function resetAll() {
     if (isRecording || isProcessing) return;
+    restoreTokenRef.current++;
     setProjectName("Untitled Project");
     setSentences([]);
-    setIndex(0);
+    setPosition(0);
     setRecorder(null);
-    setRecordedIndices(new Set());
+    setRetakes({});
+    setLoadedScriptId(null);
     setSessions([]);
     currentSessionId.current = null;
     setLog([]);
+    setReview({ status: {}, best: {} });
+    setScriptEdits(EMPTY_SCRIPT_EDITS);
     setZipBlob(null);
+    setQcReport(null);
+  }
+
+  function startSession() {
+    const id = `${userCode}-${Date.now()}`;
+    currentSessionId.current = id;
+    const session = { id, start: nowIso(), takes: [] };
+    setSessions((s) => [...s, session]);
+    if (scriptId) persistSession({ code: userCode, scriptId, session });
+    addLog("session_started", { sessionId: id });
+    return session;
   }
 
-  function ensureSession() {
-    if (!currentSessionId.current) {
-      const id = `${userCode}-${Date.now()}`;
-      currentSessionId.current = id;
-      setSessions((s) => [...s, { id, start: nowIso(), takes: [] }]);
-      addLog("session_started", { sessionId: id });
+  // Measure the room's noise floor from a few seconds of silence at the start of a session.
+  // Resolves false when the room is too noisy and the reader chooses not to continue.
+  async function calibrateSession(session) {
+    if (!stream) return true;
+    setCalibrating(true);
+    try {
+      const tone = await recordRoomTone(stream, recordingSettings.calibrationSec);
+      if (!tone) { addLog("session_calibrated", { sessionId: session.id, skipped: true }); return true; }
+      const m = analyzeClip(tone.pcm, tone.sampleRate);
+      const calibration = {
+        blob: arrayBufferToWavBlob(tone.pcm, tone.sampleRate),
+        sampleRate: tone.sampleRate,
+        durationSec: tone.pcm.length / tone.sampleRate,
+        noiseFloorDbfs: m.rmsDbfs,
+        peakDbfs: m.peakDbfs,
+        tooNoisy: m.rmsDbfs > recordingSettings.maxNoiseFloorDbfs,
+        measuredAt: nowIso(),
+      };
+      setSessions((ss) => ss.map((s) => (s.id === session.id ? { ...s, calibration } : s)));
+      if (scriptId) persistSession({ code: userCode, scriptId, session: { ...session, calibration } });
+      const { blob: _blob, ...summary } = calibration;
+      addLog("session_calibrated", { sessionId: session.id, ...summary, maxNoiseFloorDbfs: recordingSettings.maxNoiseFloorDbfs });
+      if (!calibration.tooNoisy) return true;
+      return window.confirm(`The room noise floor is ${m.rmsDbfs.toFixed(1)} dBFS, above the ${recordingSettings.maxNoiseFloorDbfs} dBFS limit.\nMove away from fans, traffic or other noise, or lower the input gain.\n\nRecord anyway?`);
+    } finally {
+      setCalibrating(false);
     }
   }
 
   const startedAtRef = useRef(null);
+  const stoppedAtRef = useRef(null);
+  const captureRef = useRef(null); // active worklet capture, for stamping nav events with sample positions
+  const startingRef = useRef(false);
+
+  // sample position inside the running take (only when recording through the capture worklet)
+  const navStamp = () => (captureRef.current ? { sample: captureRef.current.position() } : {});
 
   async function toggleRecord() {
     if (isProcessing) return;
     if (!isRecording) {
+      if (startingRef.current) return;
       if (!stream) { setMicError("No microphone stream. Click 'Request Mic' in the header and allow access."); return; }
-      if (typeof MediaRecorder === "undefined") { setMicError("MediaRecorder not supported in this browser."); return; }
-      ensureSession();
-      const mediaRecorder = new MediaRecorder(stream, { mimeType: getBestSupportedMime() });
-      chunksRef.current = [];
-      mediaRecorder.ondataavailable = (e) => { if (e.data && e.data.size > 0) chunksRef.current.push(e.data); };
-      mediaRecorder.onstop = async () => {
-        const blob = new Blob(chunksRef.current, { type: "audio/webm" });
-        const take = { idx: index, blob, startedAt: startedAtRef.current, endedAt: nowIso(), sessionId: currentSessionId.current };
+      if (!hasConsent) { setShowSpeaker(true); return; }
+      startingRef.current = true;
+      let capture = null;
+      try {
+        if (!currentSessionId.current) {
+          const session = startSession();
+          if (recordingSettings.calibrateOnSession && !(await calibrateSession(session))) return;
+        }
+        try { capture = await createSampleCapture(stream); }
+        catch (e) { console.warn("AudioWorklet capture unavailable, falling back to MediaRecorder", e); }
+      } finally { startingRef.current = false; }
+      if (!capture && typeof MediaRecorder === "undefined") { setMicError("MediaRecorder not supported in this browser."); return; }
+      const finishTake = (audio) => {
+        const take = { idx: index, startedAt: startedAtRef.current, endedAt: stoppedAtRef.current || nowIso(), sessionId: currentSessionId.current, ...audio };
         setSessions((ss) => ss.map((s) => (s.id === currentSessionId.current ? { ...s, takes: [...s.takes, take] } : s)));
-        setRecordedIndices((prev) => new Set([...prev, index]));
-        addLog("record_stop", { size: blob.size });
+        if (scriptId) persistTake({ code: userCode, scriptId, take });
+        addLog("record_stop", { size: take.blob.size, ...(Number.isFinite(take.samples) ? { samples: take.samples } : {}) });
+        if (scriptId && uploadSettingsRef.current.ingestUrl) queueUpload(take); // the setting now, not when the take started
       };
-      setRecorder(mediaRecorder);
+      let activeRecorder;
+      if (capture) {
+        // takes are kept as 24-bit WAV at the capture rate: the stamped sample positions index them exactly and
+        // 24-bit / float exports keep the captured resolution
+        capture.onstop = ({ pcm, sampleRate }) => finishTake({ blob: arrayBufferToWavBlob(pcm, sampleRate, 24), sampleRate, samples: pcm.length });
+        activeRecorder = capture;
+      } else {
+        const mediaRecorder = new MediaRecorder(stream, { mimeType: getBestSupportedMime() });
+        chunksRef.current = [];
+        mediaRecorder.ondataavailable = (e) => { if (e.data && e.data.size > 0) chunksRef.current.push(e.data); };
+        mediaRecorder.onstop = () => finishTake({ blob: new Blob(chunksRef.current, { type: mediaRecorder.mimeType || getBestSupportedMime() }) });
+        activeRecorder = mediaRecorder;
+      }
+      setRecorder(activeRecorder);
+      captureRef.current = capture;
       startedAtRef.current = nowIso();
-      mediaRecorder.start();
+      stoppedAtRef.current = null;
+      activeRecorder.start();
       setIsRecording(true);
       playBeep(880);
-      addLog("record_start");
+      addLog("record_start", capture ? { sample: 0, sampleRate: capture.sampleRate } : {});
     } else {
       playBeep(440);
+      stoppedAtRef.current = nowIso();
+      captureRef.current = null;
       recorder?.stop();
       setIsRecording(false);
     }
@@ -486,142 +1768,491 @@ export default function App() {
 
   async function handleFile(file) {
     const name = file.name.replace(/\.[^.]+$/, "");
+    const lower = file.name.toLowerCase();
+    if (lower.endsWith(".json")) { await loadBundle(file); return; }
+    if (lower.endsWith(".md") || lower.endsWith(".markdown")) {
+      // prose is split automatically, so it is previewed before it replaces the current script
+      setProsePreview({ name, filename: file.name, txt: await file.text(), markdown: true });
+      return;
+    }
     setProjectName(name);
     const txt = await file.text();
     setRawFileText(txt);
-    const lower = file.name.toLowerCase();
     let lines = [];
     let detectedType = null;
     try {
       if (lower.endsWith(".txt")) { detectedType = 'txt'; setFileType('txt'); lines = parseTxt(txt); }
-      else if (lower.endsWith(".csv")) { detectedType = 'csv'; setFileType('csv'); const { values, headers } = parseCsv(txt, { columnIndex: 0, hasHeader: csvHasHeader }); setCsvHeaders(headers); setCsvColumnIndex(0); lines = values; }
-      else if (lower.endsWith(".jsonl") || lower.endsWith(".jsonlines")) { detectedType = 'jsonl'; setFileType('jsonl'); setJsonlKey('text'); lines = parseJsonl(txt, { key: 'text' }); }
-      else { alert("Unsupported file type. Please upload .txt, .csv, or .jsonl"); return; }
-      setSentences(lines);
-      const scriptId = hashText(txt);
-      const savedIdx = getSavedIndex({ code: userCode, scriptId });
-      setIndex(Math.min(Math.max(0, savedIdx), Math.max(0, lines.length - 1)));
-      setRecordedIndices(new Set());
-      setLog((l) => [...l, { ts: nowIso(), userCode, action: "project_loaded", filename: file.name, count: lines.length }]);
-      // persist snapshot of script
-      persistScriptSnapshot({ code: userCode, scriptId, snapshot: { projectName: name, rawText: txt, fileType: detectedType, options: { csvHasHeader, csvColumnIndex: 0, jsonlKey: 'text' }, sentences: lines } });
+      else if (lower.endsWith(".csv") || lower.endsWith(".tsv")) {
+        detectedType = 'csv'; setFileType('csv');
+        const delimiter = lower.endsWith(".tsv") ? "\t" : "auto";
+        const { values, headers, delimiter: used } = parseCsv(txt, { columnIndex: 0, hasHeader: csvHasHeader, delimiter });
+        setCsvDelimiter(delimiter); setCsvDetectedDelimiter(used); setCsvHeaders(headers); setCsvColumnIndex(0); setCsvIdColumn(-1); setCsvMetaColumns([]); lines = values;
+      }
+      else if (lower.endsWith(".jsonl") || lower.endsWith(".jsonlines")) { detectedType = 'jsonl'; setFileType('jsonl'); setJsonlKey('text'); setJsonlIdKey('id'); setJsonlMetaKeys([]); lines = parseJsonl(txt, { key: 'text' }); }
+      else { alert("Unsupported file type. Please upload .txt, .md, .csv, .tsv, .jsonl, or a project bundle (.json)"); return; }
+      await finishScriptLoad({ name, filename: file.name, txt, type: detectedType, lines, options: { csvHasHeader, csvColumnIndex: 0, csvDelimiter: lower.endsWith(".tsv") ? "\t" : "auto", csvIdColumn: -1, csvMetaColumns: [], jsonlKey: 'text', jsonlIdKey: 'id', jsonlMetaKeys: [] } });
     } catch (e) {
       console.error(e);
       alert("Failed to parse file. Make sure it is valid.");
     }
   }
 
+  // Common tail of loading a script: show it, resume its saved index, persist the snapshot and restore its recordings
+  // (code is passed when loading also switches the Code; assignment is the bundle's, kept with the snapshot)
+  async function finishScriptLoad({ name, filename, txt, type, lines, options, code = userCode, assignment }) {
+    setSentences(lines);
+    const scriptId = hashText(txt);
+    const savedIdx = getSavedIndex({ code, scriptId });
+    setPosition(Math.min(Math.max(0, savedIdx), Math.max(0, lines.length - 1)));
+    // persist snapshot of script
+    persistScriptSnapshot({ code, scriptId, snapshot: { projectName: name, rawText: txt, fileType: type, options, sentences: lines, ...(assignment ? { assignment } : {}) } });
+    await restoreRecordings(code, scriptId);
+    const entry = { ts: nowIso(), userCode: code, action: "project_loaded", filename, count: lines.length, ...(assignment ? { assignmentId: assignment.id } : {}) };
+    setLog((l) => [...l, entry]);
+    persistLogEntry({ code, scriptId, entry });
+  }
+
+  // A coordinator's project bundle: its JSONL script loads like an upload, under the Code it was assigned to
+  async function loadBundle(file) {
+    let bundle;
+    try { bundle = JSON.parse(await file.text()); } catch { bundle = null; }
+    if (bundle?.format !== BUNDLE_FORMAT || typeof bundle.raw_text !== "string") { alert("Unsupported JSON file. Upload a project bundle exported by a coordinator, or a .jsonl script."); return; }
+    const assigned = bundle.assignment?.code;
+    let code = userCode;
+    if (assigned && assigned !== userCode && confirm(`This assignment is for Code "${assigned}". Switch to that Code? (Cancel loads it under "${userCode}".)`)) {
+      code = assigned;
+      setUserCode(code);
+      localStorage.setItem("tts_user_code", code);
+    }
+    const options = { jsonlKey: "text", jsonlIdKey: "id", jsonlMetaKeys: [], ...bundle.options };
+    const name = bundle.project_name || file.name.replace(/\.[^.]+$/, "");
+    setProjectName(name);
+    setRawFileText(bundle.raw_text);
+    setFileType("jsonl");
+    applyParseOptions("jsonl", options);
+    const lines = parseJsonl(bundle.raw_text, { key: options.jsonlKey, idKey: options.jsonlIdKey, metaKeys: options.jsonlMetaKeys });
+    await finishScriptLoad({ name, filename: file.name, txt: bundle.raw_text, type: "jsonl", lines, options, code, assignment: bundle.assignment ?? null });
+  }
+
+  // Confirmed prose preview: the split sentences replace the current script
+  async function applyProse({ name, filename, txt, markdown, maxLength, lines }) {
+    if (isRecording || isProcessing) return;
+    // the script is identified by its text alone, so splitting text that already has takes into other sentences would
+    // move their sentence numbers (takes, review, retakes and log indices) onto other sentences
+    const sid = hashText(txt);
+    const saved = loadCodeState(userCode).scripts?.[sid];
+    const resplit = saved && (saved.sentences ?? []).map((x) => x.text).join("\n") !== lines.map((x) => x.text).join("\n");
+    if (resplit && (await countTakesForScript({ code: userCode, scriptId: sid }))) {
+      alert(`This text already has recordings under Code "${userCode}", numbered by its ${saved.fileType === "prose" ? `current split (${saved.options?.proseMarkdown ? "Markdown, " : ""}max ${saved.options?.proseMaxLength || "∞"} chars)` : "lines"}. Splitting it differently would attach them to the wrong sentences. Keep that split, or record the new one under another Code.`);
+      return;
+    }
+    setProsePreview(null);
+    setProjectName(name);
+    setRawFileText(txt);
+    setFileType('prose');
+    setProseMarkdown(markdown);
+    setProseMaxLength(maxLength);
+    await finishScriptLoad({ name, filename, txt, type: 'prose', lines, options: { proseMarkdown: markdown, proseMaxLength: maxLength } });
+  }
+
   // Re-parse when CSV/JSONL options change
   useEffect(() => {
     if (!rawFileText) return;
     if (fileType === 'csv') {
-      const { values, headers } = parseCsv(rawFileText, { columnIndex: csvColumnIndex, hasHeader: csvHasHeader });
+      const { values, headers, delimiter } = parseCsv(rawFileText, { columnIndex: csvColumnIndex, hasHeader: csvHasHeader, delimiter: csvDelimiter, idColumnIndex: csvIdColumn, metaColumns: csvMetaColumns });
       setCsvHeaders(headers);
+      setCsvDetectedDelimiter(delimiter);
       setSentences(values);
     } else if (fileType === 'jsonl') {
-      setSentences(parseJsonl(rawFileText, { key: jsonlKey || 'text' }));
+      setSentences(parseJsonl(rawFileText, { key: jsonlKey || 'text', idKey: jsonlIdKey, metaKeys: jsonlMetaKeys }));
     }
-  }, [csvColumnIndex, csvHasHeader, jsonlKey]);
+  }, [csvColumnIndex, csvHasHeader, csvDelimiter, csvIdColumn, csvMetaColumns, jsonlKey, jsonlIdKey, jsonlMetaKeys]);
 
   // persist snapshot whenever relevant state changes
   useEffect(() => {
-    if (!rawFileText) return;
-    const scriptId = hashText(rawFileText);
-    persistScriptSnapshot({ code: userCode, scriptId, snapshot: { projectName, rawText: rawFileText, fileType, options: { csvHasHeader, csvColumnIndex, jsonlKey }, sentences } });
-  }, [projectName, rawFileText, fileType, csvHasHeader, csvColumnIndex, jsonlKey, JSON.stringify(sentences), userCode]);
+    if (!scriptId) return;
+    persistScriptSnapshot({ code: userCode, scriptId, snapshot: { projectName, rawText: rawFileText, fileType, options: { csvHasHeader, csvColumnIndex, csvDelimiter, csvIdColumn, csvMetaColumns, jsonlKey, jsonlIdKey, jsonlMetaKeys, proseMarkdown, proseMaxLength, textNormalization }, sentences } });
+  }, [projectName, scriptId, fileType, csvHasHeader, csvColumnIndex, csvDelimiter, csvIdColumn, csvMetaColumns, jsonlKey, jsonlIdKey, jsonlMetaKeys, proseMarkdown, proseMaxLength, textNormalization, JSON.stringify(sentences), userCode]);
 
-  const disableUi = isProcessing;
-  const allRecorded = useMemo(() => sentences.length > 0 && recordedIndices.size === sentences.length, [sentences, recordedIndices]);
+  const disableUi = isProcessing || calibrating;
+  const currentCalibration = sessions.find((s) => s.id === currentSessionId.current)?.calibration;
   const hasAnyRecording = useMemo(() => sessions.some((s) => s.takes.length > 0), [sessions]);
+  // the coordinator assignment the script was loaded from (bundles only), read from its snapshot once the load finished
+  const assignment = useMemo(() => (loadedScriptId ? loadCodeState(userCode).scripts?.[loadedScriptId]?.assignment ?? null : null), [userCode, loadedScriptId]);
+  // Sentences as read and exported: parsed script plus in-app edits and skips
+  const scriptSentences = useMemo(() => applyScriptEdits(sentences, scriptEdits), [sentences, scriptEdits]);
+  // Spoken form of each sentence under the chosen normalization (empty when off)
+  const spokenForms = useMemo(() => (textNormalization === "off" ? [] : scriptSentences.map((s) => normalizeNorwegian(s.text, textNormalization))), [scriptSentences, textNormalization]);
+  // Status per sentence, from the segments the log cuts each take into (no audio decoding needed)
+  const logSegments = useMemo(() => sessions.flatMap((s) => s.takes.flatMap((take) =>
+    takeSegmentsFromLog({ take, allLogs: log, sentencesLen: sentences.length }).map((seg) => ({ ...seg, startedAt: take.startedAt })))), [sessions, log, sentences.length]);
+  const statuses = useMemo(() => sentenceStatuses({ sentences: scriptSentences, segments: logSegments, review, retakes }), [scriptSentences, logSegments, review, retakes]);
+  const statusCounts = useMemo(() => {
+    const counts = Object.fromEntries(Object.keys(SENTENCE_STATUSES).map((k) => [k, 0]));
+    statuses.forEach((st) => counts[st]++);
+    return counts;
+  }, [statuses]);
+  const allRecorded = sentences.length > 0 && statusCounts.recorded + statusCounts.skipped === sentences.length;
+  useEffect(() => {
+    if (scriptId && loadedScriptId === scriptId) persistStatus({ code: userCode, scriptId, status: { counts: statusCounts } });
+  }, [scriptId, loadedScriptId, statusCounts, userCode]);
+  const lastExport = exportHistory[exportHistory.length - 1] ?? null;
+  const newTakeCount = useMemo(() => {
+    const exported = new Set(lastExport?.takes ?? []);
+    return sessions.reduce((n, s) => n + s.takes.filter((t) => !exported.has(takeKey({ ...t, sessionId: s.id }))).length, 0);
+  }, [sessions, lastExport]);
+
+  function saveScriptEdits(nextEdits) {
+    setScriptEdits(nextEdits);
+    if (scriptId) persistScriptSnapshot({ code: userCode, scriptId, snapshot: { edits: nextEdits } });
+  }
+
+  // Correct the current sentence in place; editing it back to the script's text drops the edit
+  function editSentence(text) {
+    setEditingText(null);
+    const original = sentences[index]?.text;
+    const to = text.replace(/\s+/g, " ").trim();
+    const from = scriptSentences[index]?.text;
+    if (original == null || !to || to === from) return;
+    const nextText = { ...scriptEdits.text };
+    if (to === original) delete nextText[index];
+    else nextText[index] = { from: original, to };
+    saveScriptEdits({ ...scriptEdits, text: nextText });
+    addLog("sentence_edited", { from, to, original });
+  }
 
-  async function buildDatasetZip() {
+  // Mark the current sentence for a retake; recording it again (or unmarking) clears the status
+  const retakeMarked = Boolean(retakes[index]) && statuses[index] === "retake";
+  function toggleRetake() {
+    if (!sentences.length) return;
+    const marks = { ...retakes };
+    const marking = !retakeMarked;
+    if (marking) marks[index] = nowIso();
+    else delete marks[index];
+    setRetakes(marks);
+    if (scriptId) persistStatus({ code: userCode, scriptId, status: { retakes: marks } });
+    addLog(marking ? "retake_marked" : "retake_cleared");
+  }
+
+  // Skip the current sentence (its clips are left out of the export) and move on; no reason un-skips it
+  function skipSentence(reason) {
+    const original = sentences[index]?.text;
+    if (original == null) return;
+    const skipped = { ...scriptEdits.skipped };
+    if (reason) skipped[index] = { reason, text: original, at: nowIso() };
+    else delete skipped[index];
+    saveScriptEdits({ ...scriptEdits, skipped });
+    addLog(reason ? "sentence_skipped" : "sentence_unskipped", reason ? { reason } : {});
+    if (reason) next();
+  }
+
+  function saveReview(nextReview) {
+    setReview(nextReview);
+    if (scriptId) persistReview({ code: userCode, scriptId, review: nextReview });
+  }
+
+  // status: 'accepted' | 'rejected' | null (back to unreviewed)
+  function setSegmentStatus(seg, status) {
+    const nextStatus = { ...review.status };
+    const best = { ...review.best };
+    if (status) nextStatus[seg.key] = status; else delete nextStatus[seg.key];
+    if (status !== "accepted" && best[seg.idx] === seg.key) delete best[seg.idx];
+    saveReview({ status: nextStatus, best });
+    addLog(status ? `segment_${status}` : "segment_unreviewed", { segment: seg.key, sentenceIndex: seg.idx });
+  }
+
+  // Toggle a segment as the one take to use for its sentence (selecting it also accepts it)
+  function selectBestSegment(seg) {
+    const nextStatus = { ...review.status };
+    const best = { ...review.best };
+    const selecting = best[seg.idx] !== seg.key;
+    if (selecting) { best[seg.idx] = seg.key; nextStatus[seg.key] = "accepted"; } else delete best[seg.idx];
+    saveReview({ status: nextStatus, best });
+    addLog(selecting ? "segment_best_selected" : "segment_best_cleared", { segment: seg.key, sentenceIndex: seg.idx });
+  }
+
+  // Decoding needs the Web Audio API, so takes are decoded here one at a time and handed (transferred, not copied) to
+  // the dataset worker, which cuts, encodes and zips them. At most one decoded take waits for the worker.
+  // With delta set, only takes not covered by the latest export are built, continuing its numbering and timeline.
+  async function buildDatasetZip(delta = false) {
     if (isProcessing) return;
     if (!hasAnyRecording) { alert("No recordings yet - record at least one take to build a dataset."); return; }
-    setIsProcessing(true);
-    setProgress(2);
-    setProgressMsg("Preparing audio...");
-    addLog("dataset_processing_started");
-
-    // Flatten and decode all takes in chronological order
+    const base = delta ? lastExport : null;
+    const exported = new Set(base?.takes ?? []);
     const takes = sessions.flatMap((s) => s.takes.map((t) => ({ ...t, sessionId: s.id })))
+      .filter((t) => !exported.has(takeKey(t)))
       .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
-
-    const targetRate = 48000;
-    const decoded = [];
-    for (let i = 0; i < takes.length; i++) {
-      setProgressMsg(`Decoding take ${i + 1}/${takes.length}...`);
-      const { pcm } = await decodeToMono(takes[i].blob, targetRate);
-      decoded.push({ take: takes[i], pcm });
-      setProgress(Math.round((10 * (i + 1)) / Math.max(1, takes.length)));
+    if (!takes.length) { alert("No new recordings since the last export."); return; }
+    const exportId = `exp-${Date.now().toString(36)}`;
+    setIsProcessing(true);
+    setZipBlob(null);
+    setBuiltExport(null);
+    setProgress(0);
+    setProgressMsg("Preparing audio...");
+    addLog("dataset_processing_started", { exportSettings, exportId, extends: base?.id ?? null });
+
+    const worker = new Worker(new URL("./datasetWorker.js", import.meta.url), { type: "module" });
+    let cancelled = false;
+    let fail;
+    const result = new Promise((resolve, reject) => { fail = reject; worker.onmessage = ({ data }) => onWorkerMessage(data, resolve, reject); });
+    worker.onerror = (e) => fail(new Error(e.message || "The dataset worker failed"));
+    result.catch(() => {}); // failures surface where the build awaits the result
+    cancelBuildRef.current = () => { cancelled = true; worker.terminate(); fail(new Error("cancelled")); };
+
+    // progress = audio seconds decoded (35%) and processed by the worker (55%), then packaging (10%)
+    const takeSeconds = takes.map((t) => (t.samples && t.sampleRate ? t.samples / t.sampleRate : Math.max(0.1, (new Date(t.endedAt) - new Date(t.startedAt)) / 1000) || 1));
+    const totalSeconds = takeSeconds.reduce((a, b) => a + b, 0);
+    const work = { decodedSec: 0, processedSec: 0, decoded: 0, processed: 0, clips: 0 };
+    const showWork = () => {
+      setProgress(Math.round((35 * work.decodedSec + 55 * work.processedSec) / totalSeconds));
+      setProgressMsg(`Decoded ${work.decoded}/${takes.length} takes · processed ${work.processed}/${takes.length} (${work.clips} clips written)`);
+    };
+    const acks = [];
+    function onWorkerMessage(data, resolve, reject) {
+      if (data.type === "take_done") {
+        work.processedSec += takeSeconds[data.index];
+        work.processed++;
+        work.clips = data.clips;
+        showWork();
+        acks[data.index]();
+      } else if (data.type === "packaging") { setProgress(90); setProgressMsg("Writing master recording and metadata..."); }
+      else if (data.type === "done" || data.type === "empty") resolve(data);
+      else if (data.type === "error") reject(new Error(data.message));
     }
 
-    // Build per-sentence segments from logs
-    setProgressMsg("Segmenting by navigation events...");
-    const allSegments = [];
-    for (let i = 0; i < decoded.length; i++) {
-      const d = decoded[i];
-      const segs = segmentTakeByLog({ take: d.take, pcm: d.pcm, sampleRate: targetRate, allLogs: log, sentencesLen: sentences.length });
-      for (const s of segs) {
-        const slice = d.pcm.slice(s.sampleStart, s.sampleEnd);
-        allSegments.push({ pcm: slice, idx: s.idx, sessionId: d.take.sessionId, durationSec: s.durationSec });
+    try {
+      const takeSessions = new Set(takes.map((t) => t.sessionId));
+      const continueFrom = base && { exportId: base.id, generatedAt: base.generatedAt, clipCount: base.clipCount, timelineEndSec: base.timelineEndSec, names: base.names };
+      worker.postMessage({ type: "start", options: { settings: exportSettings, sentences: scriptSentences.map((s, i) => (spokenForms[i] ? { ...s, normalized: spokenForms[i] } : s)), log, review, userCode, projectName, scriptId, exportId, continueFrom, speakerProfile: { fields: speakerSettings.fields, ...speaker }, assignment, project: { file_type: fileType, raw_text: rawFileText, options: loadCodeState(userCode).scripts?.[scriptId]?.options ?? {}, sentences, edits: scriptEdits, review, retakes, assignment }, sessions: sessions.filter((s) => takeSessions.has(s.id)).map((s) => ({ id: s.id, calibration: s.calibration })) } });
+      let previous = Promise.resolve();
+      for (let i = 0; i < takes.length; i++) {
+        const { pcm } = await decodeToMono(takes[i].blob, exportAudioOptions(exportSettings).sampleRate);
+        if (cancelled) break;
+        work.decodedSec += takeSeconds[i];
+        work.decoded++;
+        showWork();
+        await Promise.race([previous, result]);
+        const { blob, ...take } = takes[i];
+        const raw = exportSettings.includeRawTakes ? { bytes: new Uint8Array(await blob.arrayBuffer()), mimeType: blob.type } : null;
+        previous = new Promise((res) => { acks[i] = res; });
+        worker.postMessage({ type: "take", index: i, take, pcm, raw }, raw ? [pcm.buffer, raw.bytes.buffer] : [pcm.buffer]);
       }
-      setProgress(20 + Math.round((20 * (i + 1)) / Math.max(1, decoded.length)));
+      worker.postMessage({ type: "finish" });
+      const done = await result;
+      if (done.type === "empty") { alert("Every clip has been rejected in the review or belongs to a skipped sentence - nothing to export."); setProgressMsg(""); addLog("dataset_processing_finished", { clips: 0 }); return; }
+      setZipBlob(done.blob);
+      setBuiltExport({ id: exportId, generatedAt: done.manifest.generated_at, extends: base?.id ?? null, firstClip: done.manifest.first_clip_number, takes: [...exported, ...done.manifest.takes], ...done.continuation });
+      setQcReport(done.report);
+      setProgress(100);
+      setProgressMsg("Done. Your dataset is ready to download.");
+      addLog("dataset_processing_finished", { size: done.blob.size, clips: done.manifest.clips });
+    } catch (err) {
+      if (cancelled) {
+        setProgressMsg("Cancelled.");
+        addLog("dataset_processing_cancelled", { decoded: work.decoded, processed: work.processed });
+      } else {
+        console.error(err);
+        setProgressMsg("");
+        addLog("dataset_processing_failed", { error: err.message });
+        alert(`Building the dataset failed: ${err.message}`);
+      }
+    } finally {
+      worker.terminate();
+      cancelBuildRef.current = null;
+      setIsProcessing(false);
     }
+  }
 
-    // Master concatenation
-    setProgressMsg("Concatenating master audio...");
-    const master = concatFloat32(allSegments.map((x) => x.pcm));
-    const masterBlob = arrayBufferToWavBlob(master, targetRate);
-    await sleep(50);
-
-    const zip = new JSZip();
-    const metaRows = [["file","sentence_index","text","id","session_id","user_code","duration_sec","offset_start_sec","offset_end_sec"].join(",")];
-    const eventsRows = [["ts","action","index","session_id","user_code"].join(",")];
+  // Restore a Code's script, sessions, log and review from a dataset ZIP built by this app (here or on another
+  // machine), so recording can continue and the takes can be exported again. Takes come back as recorded when the ZIP
+  // has them (takes.json), otherwise they are rebuilt from the exported clips (see datasetImportTakes); what is already stored for the Code + Script is kept, so opening a ZIP twice is harmless.
+  async function openDataset(file) {
+    if (isRecording || isProcessing) return;
+    setIsProcessing(true);
+    setProgress(0);
+    setProgressMsg("Reading dataset...");
+    let cancelled = false;
+    cancelBuildRef.current = () => { cancelled = true; };
+    try {
+      const entries = await readZip(file);
+      const readText = async (path) => (entries[path] ? new TextDecoder().decode(await entries[path].read()) : null);
+      const readJson = async (path) => JSON.parse((await readText(path)) ?? "null");
+      const manifest = await readJson("manifest.json");
+      if (!manifest?.script_id || !manifest.user_code || !Array.isArray(manifest.takes)) throw new Error("manifest.json is missing - this isn't a dataset built by this app.");
+      const code = manifest.user_code;
+      const sid = manifest.script_id;
+      if (code !== userCode && !confirm(`This dataset was recorded under Code "${code}". Switch to that Code to restore it?`)) return;
+      const project = await readJson("project.json");
+      const saved = loadCodeState(code).scripts?.[sid];
+      if (!project && !saved) throw new Error(`The ZIP has no project.json (it was built before datasets included their script). Load the original script under Code "${code}" first, then open the dataset again.`);
+      const snapshot = project
+        ? { projectName: project.project_name || saved?.projectName || "Untitled Project", rawText: project.raw_text, fileType: project.file_type, options: project.options ?? {}, sentences: project.sentences ?? [], edits: project.edits ?? saved?.edits ?? EMPTY_SCRIPT_EDITS, assignment: project.assignment ?? saved?.assignment ?? null }
+        : saved;
+      if (project && hashText(project.raw_text ?? "") !== sid) throw new Error("project.json doesn't match the script the dataset was recorded from.");
+      const importedLog = ((await readText("log.jsonl")) ?? "").split("\n").filter((l) => l.trim()).map((l) => JSON.parse(l));
+      const stored = await loadRecordings({ code, scriptId: sid });
+      const known = new Set(stored.log.map((e) => JSON.stringify(e)));
+      for (const entry of importedLog) if (!known.has(JSON.stringify(entry))) await persistLogEntry({ code, scriptId: sid, entry });
+      const qc = await readJson("qc_report.json");
+      for (const s of replayJournal(importedLog).sessions) {
+        if (stored.sessions.some((x) => x.id === s.id)) continue;
+        const tone = qc?.room_tone?.find((t) => t.session_id === s.id);
+        const calibration = tone && entries[tone.file]
+          ? { blob: new Blob([await entries[tone.file].read()], { type: "audio/wav" }), noiseFloorDbfs: tone.noise_floor_dbfs, peakDbfs: tone.peak_dbfs, tooNoisy: tone.too_noisy, measuredAt: tone.measured_at }
+          : undefined;
+        await persistSession({ code, scriptId: sid, session: { ...s, calibration } });
+      }
 
-    // events: include only navigation and recording markers
-    log.forEach(e => {
-      if (["nav_next","nav_prev","record_start","record_stop","session_started"].includes(e.action)) {
-        eventsRows.push([e.ts, e.action, e.index ?? "", e.sessionId ?? "", userCode].join(","));
+      const metadata = parseMetadataCsv(await readText(EXPORT_PROFILES[manifest.profile]?.fullMetadata ?? "metadata.csv"));
+      const storedTakes = new Set(stored.sessions.flatMap((s) => s.takes.map(takeKey)));
+      const rawTakes = new Map(((await readJson("takes.json")) ?? []).filter((e) => entries[e.file]).map((e) => [e.key, e]));
+      const plan = datasetImportTakes({ manifest, metadata, log: importedLog }).filter((t) => !storedTakes.has(takeKey(t.take)));
+      const rate = manifest.audio.sample_rate;
+      const masterEntry = entries[masterPath(manifest.audio.format)];
+      const master = plan.some((t) => !rawTakes.has(takeKey(t.take)) && t.clips.some((c) => !c.file)) && masterEntry ? (await decodeToMono(new Blob([await masterEntry.read()]), rate)).pcm : null;
+      for (let i = 0; i < plan.length && !cancelled; i++) {
+        setProgress(Math.round((100 * i) / plan.length));
+        const raw = rawTakes.get(takeKey(plan[i].take));
+        if (raw) {
+          setProgressMsg(`Restoring take ${i + 1}/${plan.length}...`);
+          await persistTake({ code, scriptId: sid, take: { ...takeFromRawEntry(raw), blob: new Blob([await entries[raw.file].read()], { type: raw.mime_type ?? "" }) } });
+          continue;
+        }
+        setProgressMsg(`Rebuilding take ${i + 1}/${plan.length} from its clips...`);
+        const clipPcms = [];
+        for (const clip of plan[i].clips) {
+          if (clip.file) clipPcms.push(entries[clip.file] ? (await decodeToMono(new Blob([await entries[clip.file].read()]), rate)).pcm : null);
+          else {
+            const at = Math.round(clip.masterStartSec * rate);
+            clipPcms.push(master?.subarray(at, at + Math.round((clip.takeEndSec - clip.takeStartSec) * rate)) ?? null);
+          }
+        }
+        const pcm = assembleTakePcm(plan[i], clipPcms, rate);
+        await persistTake({ code, scriptId: sid, take: { ...plan[i].take, blob: arrayBufferToWavBlob(pcm, rate, 24) } });
+      }
+      if (cancelled) { setProgressMsg("Cancelled."); return; }
+
+      // the script and its review are saved only once every take is in, so a failed or cancelled import leaves them untouched
+      persistScriptSnapshot({ code, scriptId: sid, snapshot });
+      // decisions already made on this machine win over the imported ones
+      const savedReview = getSavedReview({ code, scriptId: sid });
+      persistReview({ code, scriptId: sid, review: { status: { ...project?.review?.status, ...savedReview.status }, best: { ...project?.review?.best, ...savedReview.best } } });
+      const savedStatus = getSavedStatus({ code, scriptId: sid });
+      persistStatus({ code, scriptId: sid, status: { ...savedStatus, retakes: { ...project?.retakes, ...savedStatus.retakes } } });
+
+      // the imported export counts as downloaded, so "Build New Only" continues from it
+      if (manifest.export_id && !getExportHistory({ code, scriptId: sid }).some((e) => e.id === manifest.export_id)) {
+        const extended = getExportHistory({ code, scriptId: sid }).find((e) => e.id === manifest.extends?.export_id);
+        const masterFile = masterPath(manifest.audio.format);
+        persistExport({ code, scriptId: sid, entry: {
+          id: manifest.export_id, generatedAt: manifest.generated_at, extends: manifest.extends?.export_id ?? null, firstClip: manifest.first_clip_number,
+          takes: [...(extended?.takes ?? []), ...manifest.takes], clipCount: manifest.first_clip_number - 1 + manifest.clips, timelineEndSec: manifest.timeline.end_sec,
+          names: [...(extended?.names ?? manifest.extends?.clip_names ?? []), ...metadata.filter((r) => r.file !== masterFile).map((r) => r.file.replace(/^.*\//, "").replace(/\.[^.]+$/, ""))],
+        } });
       }
-    });
 
-    zip.folder("audio");
-    zip.folder("audio/clips");
-    zip.file("audio/all_sessions.wav", masterBlob);
-
-    // Write clips and metadata
-    let offsetSamples = 0;
-    for (let i = 0; i < allSegments.length; i++) {
-      const seg = allSegments[i];
-      const clipBlob = arrayBufferToWavBlob(seg.pcm, targetRate);
-      const fname = `audio/clips/${String(i + 1).padStart(4, "0")}_sent${String(seg.idx + 1).padStart(4, "0")}.wav`;
-      zip.file(fname, clipBlob);
-      const durationSec = seg.pcm.length / targetRate;
-      const startSec = offsetSamples / targetRate;
-      const endSec = (offsetSamples + seg.pcm.length) / targetRate;
-      const sentenceObj = sentences[seg.idx] ?? { text: "", id: null };
-      const sentenceText = sentenceObj.text ?? "";
-      const sentenceId = sentenceObj.id ?? "";
-      metaRows.push([fname, seg.idx, JSON.stringify(sentenceText), JSON.stringify(sentenceId), seg.sessionId, userCode, durationSec.toFixed(3), startSec.toFixed(3), endSec.toFixed(3)].join(","));
-      offsetSamples += seg.pcm.length;
-      setProgress(40 + Math.round((40 * (i + 1)) / Math.max(1, allSegments.length)));
-      setProgressMsg(`Packaging clips ${i + 1}/${allSegments.length}...`);
+      if (code !== userCode) { setUserCode(code); localStorage.setItem("tts_user_code", code); }
+      setProjectName(snapshot.projectName || "Untitled Project");
+      setFileType(snapshot.fileType || null);
+      setRawFileText(snapshot.rawText || "");
+      applyParseOptions(snapshot.fileType, snapshot.options);
+      setSentences(Array.isArray(snapshot.sentences) ? snapshot.sentences : []);
+      setPosition(Math.min(Math.max(0, getSavedIndex({ code, scriptId: sid })), Math.max(0, (snapshot.sentences?.length || 1) - 1)));
+      await restoreRecordings(code, sid);
+      const entry = { ts: nowIso(), userCode: code, sessionId: null, index: indexRef.current, action: "dataset_imported", filename: file.name, exportId: manifest.export_id ?? null, takes: plan.length };
+      setLog((l) => [...l, entry]);
+      persistLogEntry({ code, scriptId: sid, entry });
+      setProgress(100);
+      setProgressMsg(`Restored ${plan.length} take${plan.length === 1 ? "" : "s"} from ${file.name}.`);
+    } catch (err) {
+      console.error(err);
+      setProgressMsg("");
+      alert(`Opening the dataset failed: ${err.message}`);
+    } finally {
+      cancelBuildRef.current = null;
+      setIsProcessing(false);
     }
+  }
 
-    // Add log + events + metadata
-    const jsonl = log.map((e) => JSON.stringify(e)).join("\n");
-    zip.file("log.jsonl", jsonl);
-    zip.file("metadata.csv", metaRows.join("\n"));
-    zip.file("events.csv", eventsRows.join("\n"));
+  // One project bundle per assignment, zipped with an overview (assignments.csv) for the coordinator's records
+  function exportAssignments(assignments, method) {
+    const zip = createZipWriter();
+    const parts = assignments.filter((a) => a.indices.length);
+    const bundles = parts.map((a, k) => {
+      const bundle = makeAssignmentBundle({ sentences: scriptSentences, indices: a.indices, code: a.code, part: k + 1, parts: parts.length, method, masterScriptId: scriptId, projectName });
+      const file = `${a.code}_${bundle.assignment.id}.json`.replace(/[^\p{L}\p{N}._-]+/gu, "_");
+      zip.add(file, JSON.stringify(bundle, null, 2));
+      return { id: bundle.assignment.id, code: a.code, part: k + 1, sentences: a.indices.length, ranges: formatRanges(a.indices), file };
+    });
+    zip.add("assignments.csv", ["assignment_id,code,part,parts,sentences,sentence_numbers,file",
+      ...bundles.map((b) => [b.id, JSON.stringify(b.code), b.part, parts.length, b.sentences, JSON.stringify(b.ranges), JSON.stringify(b.file)].join(","))].join("\n"));
+    downloadBlob(zip.finish(), `${projectName || "project"}_assignments.zip`);
+    addLog("assignments_exported", { method, assignments: bundles.map(({ id, code, sentences }) => ({ id, code, sentences })) });
+  }
+
+  // The coverage selection becomes a new JSONL script (the current one and its recordings stay under Resume…): the
+  // picked sentences first and, when reordering, the rest in script order. Sentences keep their ID, or get their
+  // number in the current script as one, so recordings of the new script map back to this one.
+  async function createCoverageScript(picked, mode) {
+    if (isRecording || isProcessing) return;
+    const chosen = new Set(picked);
+    const order = mode === "subset" ? picked : [...picked, ...scriptSentences.map((_, i) => i).filter((i) => !chosen.has(i) && !scriptSentences[i].skipped)];
+    const { txt, metaKeys } = sentencesToJsonl(scriptSentences, order);
+    const name = `${projectName} (coverage ${picked.length})`;
+    addLog("coverage_script_created", { selected: picked.length, mode, sentences: order.length, scriptId: hashText(txt) });
+    setShowCoverage(false);
+    setProjectName(name);
+    setRawFileText(txt);
+    setFileType("jsonl");
+    setJsonlKey("text");
+    setJsonlIdKey("id");
+    setJsonlMetaKeys(metaKeys);
+    await finishScriptLoad({ name, filename: `${name}.jsonl`, txt, type: "jsonl", lines: parseJsonl(txt, { key: "text", idKey: "id", metaKeys }), options: { jsonlKey: "text", jsonlIdKey: "id", jsonlMetaKeys: metaKeys, textNormalization } });
+  }
 
-    setProgressMsg("Creating ZIP archive...");
-    const zipped = await zip.generateAsync({ type: "blob" }, (meta) => setProgress(90 + Math.round(meta.percent / 10)));
+  // Save the speaker profile for this Code; consent is stamped when first confirmed for the current consent text
+  function saveSpeaker(profile, consented) {
+    const newConsent = consented && !hasConsent;
+    const consent = consented ? (newConsent ? { version: speakerSettings.consentVersion, text: speakerSettings.consentText, acceptedAt: nowIso() } : speaker.consent) : null;
+    const updated = { profile, consent, updatedAt: nowIso() };
+    setSpeaker(updated);
+    persistSpeakerProfile({ code: userCode, speaker: updated });
+    setShowSpeaker(false);
+    addLog("speaker_profile_saved", { profile, consentVersion: consent?.version ?? null });
+    if (newConsent) addLog("consent_given", { version: consent.version, acceptedAt: consent.acceptedAt });
+    else if (!consent && speaker.consent) addLog("consent_withdrawn", { version: speaker.consent.version });
+  }
+
+  // Acknowledge the consistency-check findings in the journal so they aren't reported again
+  function resolveJournalIssues() {
+    journalIssues.forEach((i) => addLog("journal_issue_resolved", { kind: i.kind, recordStart: i.ts }));
+    setJournalIssues([]);
+  }
+
+  // Jump the prompter to a sentence (e.g. a clip flagged by QC) so it can be re-recorded.
+  // Absolute move (go-to, search, minimap, next pending, QC); the logged target lets segmentation follow it mid-take
+  function jumpTo(newIdx, reason) {
+    if (isProcessing || !sentences.length) return;
+    const clamped = Math.max(0, Math.min(sentences.length - 1, newIdx));
+    if (clamped === index) return;
+    setPosition(clamped);
+    addLog("jump", { to: clamped, reason, ...navStamp() });
+    if (scriptId) persistIndex({ code: userCode, scriptId, index: clamped });
+  }
+
+  function jumpToNext(status) {
+    const target = nextWithStatus(statuses, index, status);
+    if (target >= 0) jumpTo(target, `next_${status}`);
+  }
 
-    setZipBlob(zipped);
-    setProgress(100);
-    setProgressMsg("Done. Your dataset is ready to download.");
-    setIsProcessing(false);
-    addLog("dataset_processing_finished", { size: zipped.size });
+  // Downloading is what makes an export count: later delta builds continue from it
+  function downloadDataset() {
+    const suffix = builtExport?.extends ? `_dataset_from_${String(builtExport.firstClip).padStart(4, "0")}` : "_dataset";
+    downloadBlob(zipBlob, `${projectName || "project"}_${userCode}${suffix}.zip`);
+    if (!builtExport || exportHistory.some((e) => e.id === builtExport.id)) return;
+    if (scriptId) persistExport({ code: userCode, scriptId, entry: builtExport });
+    setExportHistory((h) => [...h, builtExport].slice(-EXPORT_HISTORY_LIMIT));
+    addLog("dataset_exported", { exportId: builtExport.id, extends: builtExport.extends, firstClip: builtExport.firstClip, clipCount: builtExport.clipCount });
   }
 
   function downloadLogFile() {
@@ -630,9 +2261,11 @@ export default function App() {
     downloadBlob(blob, `${projectName || "project"}_${userCode}_log.jsonl`);
   }
 
-  const prevText = sentences[index - 1]?.text || "";
-  const currText = sentences[index]?.text || "Upload a script to get started.";
-  const nextText = sentences[index + 1]?.text || "";
+  const prevText = scriptSentences[index - 1]?.text || "";
+  const current = scriptSentences[index];
+  const currText = current?.text || "Upload a script to get started.";
+  const currSpoken = spokenForms[index];
+  const nextText = scriptSentences[index + 1]?.text || "";
 
   return (
     <div className="min-h-screen bg-zinc-950 text-zinc-100 selection:bg-indigo-500/50">
@@ -660,27 +2293,47 @@ export default function App() {
                     setProjectName(last.projectName || "Untitled Project");
                     setFileType(last.fileType || null);
                     setRawFileText(last.rawText || "");
-                    if (last.fileType === 'csv') { setCsvHasHeader(last.options?.csvHasHeader ?? true); setCsvColumnIndex(last.options?.csvColumnIndex ?? 0); }
-                    if (last.fileType === 'jsonl') { setJsonlKey(last.options?.jsonlKey ?? 'text'); }
+                    applyParseOptions(last.fileType, last.options);
                     setSentences(Array.isArray(last.sentences) ? last.sentences : []);
                     const idx = Math.min(Math.max(0, last.index ?? 0), Math.max(0, (last.sentences?.length || 1) - 1));
-                    setIndex(idx);
+                    setPosition(idx);
+                    restoreRecordings(val, last.scriptId);
                   } else {
                     setProjectName("Untitled Project");
                     setSentences([]);
-                    setIndex(0);
+                    setPosition(0);
+                    restoreRecordings(val, null);
                   }
                 }}
                 className="w-24 bg-transparent text-sm outline-none placeholder:text-zinc-600"
                 spellCheck={false}
               />
               <button onClick={() => setShowResume(true)} className="rounded-lg border border-zinc-700 px-2 py-1 text-xs text-zinc-300 hover:bg-zinc-800">Resume…</button>
+              <button onClick={() => setShowSpeaker(true)} className={clsx("inline-flex items-center gap-1 rounded-lg border px-2 py-1 text-xs hover:bg-zinc-800", hasConsent ? "border-zinc-700 text-zinc-300" : "border-amber-600 text-amber-200")} title={hasConsent ? "Speaker profile and consent" : "Consent missing: required before recording"}>
+                <UserRound className="h-3 w-3" /> Speaker
+              </button>
             </div>
 
             <label className={clsx("inline-flex cursor-pointer items-center gap-2 rounded-xl border border-zinc-800 bg-zinc-900 px-3 py-2 text-sm hover:bg-zinc-800/70")}>
               <Upload className="h-4 w-4" />
               <span>Upload Script</span>
-              <input type="file" accept=".txt,.csv,.jsonl,.jsonlines" className="hidden" onChange={(e) => { const f = e.target.files?.[0]; if (f) handleFile(f); }} />
+              <input type="file" accept=".txt,.md,.markdown,.csv,.tsv,.jsonl,.jsonlines,.json" className="hidden" onChange={(e) => { const f = e.target.files?.[0]; if (f) handleFile(f); }} />
+            </label>
+
+            <button onClick={() => setShowCoverage(true)} disabled={!sentences.length} className="inline-flex items-center gap-2 rounded-xl border border-zinc-800 bg-zinc-900 px-3 py-2 text-sm hover:bg-zinc-800/70 disabled:opacity-50" title="Phone and diphone coverage of the script; pick a coverage-optimised selection">
+              <ChartColumn className="h-4 w-4" />
+              <span>Coverage</span>
+            </button>
+
+            <button onClick={() => setShowCoordinator(true)} disabled={!sentences.length} className="inline-flex items-center gap-2 rounded-xl border border-zinc-800 bg-zinc-900 px-3 py-2 text-sm hover:bg-zinc-800/70 disabled:opacity-50" title="Split the script between reader Codes and download one project bundle per Code">
+              <ClipboardList className="h-4 w-4" />
+              <span>Assign</span>
+            </button>
+
+            <label className={clsx("inline-flex cursor-pointer items-center gap-2 rounded-xl border border-zinc-800 bg-zinc-900 px-3 py-2 text-sm hover:bg-zinc-800/70", (isRecording || isProcessing) && "pointer-events-none opacity-50")} title="Restore a script, its sessions and log from a dataset ZIP built here">
+              <FolderOpen className="h-4 w-4" />
+              <span>Open Dataset</span>
+              <input type="file" accept=".zip,application/zip" className="hidden" onChange={(e) => { const f = e.target.files?.[0]; e.target.value = ""; if (f) openDataset(f); }} />
             </label>
 
             {/* Format-specific parsing controls */}
@@ -690,12 +2343,48 @@ export default function App() {
                   <input type="checkbox" checked={csvHasHeader} onChange={(e) => setCsvHasHeader(e.target.checked)} />
                   Header row
                 </label>
+                <span className="text-xs text-zinc-400">Delimiter</span>
+                <select value={csvDelimiter} onChange={(e) => setCsvDelimiter(e.target.value)} className="bg-transparent text-sm outline-none" title="Auto detects comma, semicolon or tab">
+                  <option value="auto">Auto ({DELIMITER_LABELS[csvDetectedDelimiter]})</option>
+                  {CSV_DELIMITERS.map((d) => <option key={d} value={d}>{DELIMITER_LABELS[d]}</option>)}
+                </select>
                 <span className="text-xs text-zinc-400">Column</span>
                 <select value={csvColumnIndex} onChange={(e) => setCsvColumnIndex(Number(e.target.value))} className="bg-transparent text-sm outline-none">
                   {csvHeaders.map((h, i) => (
                     <option key={i} value={i}>{i}: {h}</option>
                   ))}
                 </select>
+                <span className="text-xs text-zinc-400">ID</span>
+                <select value={csvIdColumn} onChange={(e) => setCsvIdColumn(Number(e.target.value))} className="bg-transparent text-sm outline-none">
+                  <option value={-1}>none</option>
+                  {csvHeaders.map((h, i) => (
+                    <option key={i} value={i}>{i}: {h}</option>
+                  ))}
+                </select>
+                <details className="relative">
+                  <summary className="cursor-pointer text-xs text-zinc-400">Extra ({csvMetaColumns.length})</summary>
+                  <div className="absolute right-0 z-30 mt-2 max-h-64 w-48 overflow-auto rounded-xl border border-zinc-800 bg-zinc-900 p-2 shadow-xl">
+                    {csvHeaders.map((h, i) => (
+                      <label key={i} className="flex items-center gap-2 py-0.5 text-xs text-zinc-300">
+                        <input type="checkbox" checked={csvMetaColumns.includes(i)} onChange={(e) => setCsvMetaColumns((cols) => (e.target.checked ? [...cols, i].sort((a, b) => a - b) : cols.filter((c) => c !== i)))} />
+                        {i}: {h}
+                      </label>
+                    ))}
+                  </div>
+                </details>
+              </div>
+            )}
+
+            {(fileType === 'txt' || fileType === 'prose') && (
+              <div className="hidden items-center gap-2 rounded-xl border border-zinc-800 bg-zinc-900 px-3 py-2 sm:flex">
+                <span className="text-xs text-zinc-400">{fileType === 'txt' ? "One sentence per line" : `Prose${proseMarkdown ? " (Markdown)" : ""} • max ${proseMaxLength || "∞"} chars`}</span>
+                <button
+                  onClick={() => setProsePreview({ name: projectName, filename: projectName, txt: rawFileText, markdown: fileType === 'prose' && proseMarkdown })}
+                  disabled={isRecording || isProcessing}
+                  className="rounded-lg border border-zinc-700 px-2 py-1 text-xs text-zinc-300 hover:bg-zinc-800 disabled:opacity-50"
+                >
+                  {fileType === 'txt' ? "Split as prose…" : "Re-split…"}
+                </button>
               </div>
             )}
 
@@ -703,9 +2392,27 @@ export default function App() {
               <div className="hidden items-center gap-2 rounded-xl border border-zinc-800 bg-zinc-900 px-3 py-2 sm:flex">
                 <span className="text-xs text-zinc-400">Key</span>
                 <input value={jsonlKey} onChange={(e) => setJsonlKey(e.target.value)} className="bg-transparent text-sm outline-none w-28" placeholder="text" />
+                <span className="text-xs text-zinc-400">ID key</span>
+                <input value={jsonlIdKey} onChange={(e) => setJsonlIdKey(e.target.value)} className="bg-transparent text-sm outline-none w-20" placeholder="none" />
+                <span className="text-xs text-zinc-400">Extra keys</span>
+                <input
+                  defaultValue={jsonlMetaKeys.join(", ")}
+                  key={jsonlMetaKeys.join(",")}
+                  onBlur={(e) => setJsonlMetaKeys(e.target.value.split(",").map((k) => k.trim()).filter(Boolean))}
+                  className="bg-transparent text-sm outline-none w-36"
+                  placeholder="source, domain"
+                  title="Comma-separated keys copied into metadata.csv"
+                />
               </div>
             )}
 
+            <div className="hidden items-center gap-2 rounded-xl border border-zinc-800 bg-zinc-900 px-3 py-2 sm:flex" title="Expand numbers, dates, amounts and abbreviations into spoken form; exported as normalized_text">
+              <span className="text-xs text-zinc-400">Normalize</span>
+              <select value={textNormalization} onChange={(e) => setTextNormalization(e.target.value)} disabled={isProcessing} className="bg-transparent text-sm outline-none">
+                {Object.entries(TEXT_NORMALIZATIONS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+              </select>
+            </div>
+
             {/* Settings trigger */}
             <button onClick={() => setShowSettings((v) => !v)} className="inline-flex items-center gap-2 rounded-xl border border-zinc-800 bg-zinc-900 px-3 py-2 text-sm hover:bg-zinc-800/70">
               <Settings className="h-4 w-4" /> Settings
@@ -748,6 +2455,38 @@ export default function App() {
                       ))}
                     </select>
                   </div>
+                  <label className="mt-3 flex items-center gap-2 text-xs text-zinc-400">
+                    <input type="checkbox" checked={recordingSettings.calibrateOnSession} onChange={(e) => updateRecordingSettings({ calibrateOnSession: e.target.checked })} />
+                    Measure room tone when a session starts
+                  </label>
+                  <div className="mt-2 grid grid-cols-2 gap-2">
+                    <NumberSetting label="Room tone" suffix="s" value={recordingSettings.calibrationSec} min={1} max={10} disabled={!recordingSettings.calibrateOnSession} onChange={(v) => updateRecordingSettings({ calibrationSec: v })} />
+                    <NumberSetting label="Max noise floor" suffix="dBFS" value={recordingSettings.maxNoiseFloorDbfs} max={0} disabled={!recordingSettings.calibrateOnSession} onChange={(v) => updateRecordingSettings({ maxNoiseFloorDbfs: v })} />
+                  </div>
+                </div>
+
+                <div className="rounded-xl border border-zinc-800 bg-zinc-950 p-3">
+                  <div className="mb-2 text-xs uppercase tracking-wider text-zinc-400">Speaker profile</div>
+                  <label className="flex flex-col gap-1 text-xs text-zinc-400">
+                    <span>Fields, one per line: key | label | options (comma-separated; none = free text)</span>
+                    <textarea
+                      key={formatSpeakerFields(speakerSettings.fields)}
+                      defaultValue={formatSpeakerFields(speakerSettings.fields)}
+                      onBlur={(e) => setSpeakerSettings((s) => ({ ...s, fields: parseSpeakerFields(e.target.value) }))}
+                      rows={5}
+                      className="rounded-lg border border-zinc-800 bg-zinc-900 p-2 font-mono text-xs text-zinc-200 outline-none"
+                      spellCheck={false}
+                    />
+                  </label>
+                  <label className="mt-2 flex flex-col gap-1 text-xs text-zinc-400">
+                    <span>Consent text</span>
+                    <textarea value={speakerSettings.consentText} onChange={(e) => setSpeakerSettings((s) => ({ ...s, consentText: e.target.value }))} rows={3} className="rounded-lg border border-zinc-800 bg-zinc-900 p-2 text-xs text-zinc-200 outline-none" />
+                  </label>
+                  <label className="mt-2 flex items-center gap-2 text-xs text-zinc-400">
+                    <span>Consent version</span>
+                    <input value={speakerSettings.consentVersion} onChange={(e) => setSpeakerSettings((s) => ({ ...s, consentVersion: e.target.value.trim() }))} className="w-20 rounded-lg border border-zinc-800 bg-zinc-900 px-2 py-1 text-sm text-zinc-200 outline-none" />
+                    <span>changing it asks every speaker to confirm again</span>
+                  </label>
                 </div>
 
                 <div className="rounded-xl border border-zinc-800 bg-zinc-950 p-3">
@@ -757,6 +2496,123 @@ export default function App() {
                   </button>
                   {micError && <div className="mt-2 text-xs text-red-400">{micError}</div>}
                 </div>
+
+                <div className="rounded-xl border border-zinc-800 bg-zinc-950 p-3">
+                  <div className="mb-2 text-xs uppercase tracking-wider text-zinc-400">Upload</div>
+                  <label className="flex flex-col gap-1 text-xs text-zinc-400">
+                    <span>Ingest URL (empty = off); every take is sent when it is stored</span>
+                    <input type="url" value={uploadSettings.ingestUrl} onChange={(e) => updateUploadSettings({ ingestUrl: e.target.value.trim() })} placeholder="https://example.org/ingest" className="rounded-lg border border-zinc-800 bg-zinc-900 px-2 py-1 text-sm text-zinc-200 outline-none" />
+                  </label>
+                  {uploadSettings.ingestUrl && !isHttpUrl(uploadSettings.ingestUrl) && <div className="mt-1 text-xs text-amber-300">Not an http(s) URL - takes are queued but not sent.</div>}
+                  <label className="mt-2 flex flex-col gap-1 text-xs text-zinc-400">
+                    <span>Access token (optional, sent as a Bearer token)</span>
+                    <input type="password" value={uploadSettings.ingestToken} onChange={(e) => updateUploadSettings({ ingestToken: e.target.value.trim() })} className="rounded-lg border border-zinc-800 bg-zinc-900 px-2 py-1 text-sm text-zinc-200 outline-none" />
+                  </label>
+                  <div className="mt-2"><NumberSetting label="Chunk size" suffix="KiB" value={uploadSettings.chunkKb} min={64} step={64} onChange={(v) => updateUploadSettings({ chunkKb: v })} /></div>
+                  {(() => {
+                    const queue = Object.values(uploads);
+                    const count = (status) => queue.filter((e) => e.status === status).length;
+                    const failed = queue.filter((e) => e.status === "failed");
+                    return queue.length > 0 && (
+                      <div className="mt-2 flex items-center justify-between gap-2 text-xs text-zinc-400">
+                        <span>{count("done")} uploaded · {count("pending") + count("uploading")} waiting · {failed.length} failed{uploadSettings.ingestUrl ? "" : " (upload is off)"}</span>
+                        {failed.length > 0 && <button onClick={() => failed.forEach((e) => uploadQueue.retry(e))} className="text-zinc-300 hover:text-zinc-100">Retry failed</button>}
+                      </div>
+                    );
+                  })()}
+                </div>
+
+                <div className="rounded-xl border border-zinc-800 bg-zinc-950 p-3">
+                  <div className="mb-2 text-xs uppercase tracking-wider text-zinc-400">Clip cutting</div>
+                  <label className="mb-2 flex items-center gap-2 text-xs text-zinc-400" title="Pauses inside a sentence are kept: a clip stays one continuous stretch of its take">
+                    <input type="checkbox" checked={exportSettings.refineCuts} onChange={(e) => updateExportSettings({ refineCuts: e.target.checked })} />
+                    Snap cuts to silence and trim leading/trailing silence
+                  </label>
+                  <div className="grid grid-cols-2 gap-2">
+                    <NumberSetting label="Search window" suffix="ms" value={exportSettings.searchWindowMs} min={0} step={50} disabled={!exportSettings.refineCuts} onChange={(v) => updateExportSettings({ searchWindowMs: v })} />
+                    <NumberSetting label="Silence margin" suffix="dB" value={exportSettings.silenceMarginDb} min={0} step={1} disabled={!exportSettings.refineCuts} onChange={(v) => updateExportSettings({ silenceMarginDb: v })} />
+                    <NumberSetting label="Leading pad" suffix="ms" value={exportSettings.leadPadMs} min={0} step={50} disabled={!exportSettings.refineCuts} onChange={(v) => updateExportSettings({ leadPadMs: v })} />
+                    <NumberSetting label="Trailing pad" suffix="ms" value={exportSettings.trailPadMs} min={0} step={50} disabled={!exportSettings.refineCuts} onChange={(v) => updateExportSettings({ trailPadMs: v })} />
+                  </div>
+                </div>
+
+                <div className="rounded-xl border border-zinc-800 bg-zinc-950 p-3">
+                  <div className="mb-2 text-xs uppercase tracking-wider text-zinc-400">Quality check thresholds</div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <NumberSetting label="Max clipped samples" value={exportSettings.qcMaxClippedSamples} min={0} onChange={(v) => updateExportSettings({ qcMaxClippedSamples: v })} />
+                    <NumberSetting label="Min peak" suffix="dBFS" value={exportSettings.qcMinPeakDbfs} max={0} onChange={(v) => updateExportSettings({ qcMinPeakDbfs: v })} />
+                    <NumberSetting label="Min RMS" suffix="dBFS" value={exportSettings.qcMinRmsDbfs} max={0} onChange={(v) => updateExportSettings({ qcMinRmsDbfs: v })} />
+                    <NumberSetting label="Min SNR" suffix="dB" value={exportSettings.qcMinSnrDb} min={0} onChange={(v) => updateExportSettings({ qcMinSnrDb: v })} />
+                    <NumberSetting label="Max DC offset" value={exportSettings.qcMaxDcOffset} min={0} step={0.005} onChange={(v) => updateExportSettings({ qcMaxDcOffset: v })} />
+                    <NumberSetting label="Min speech ratio" value={exportSettings.qcMinSpeechRatio} min={0} max={1} step={0.05} onChange={(v) => updateExportSettings({ qcMinSpeechRatio: v })} />
+                  </div>
+                </div>
+
+                <div className="rounded-xl border border-zinc-800 bg-zinc-950 p-3">
+                  <div className="mb-2 text-xs uppercase tracking-wider text-zinc-400">Normalization</div>
+                  <div className="mb-2 grid grid-cols-2 gap-2 text-xs text-zinc-400">
+                    <label className="flex flex-col gap-1">
+                      <span>Mode</span>
+                      <select value={exportSettings.normalizeMode} onChange={(e) => updateExportSettings({ normalizeMode: e.target.value })} className="bg-transparent text-sm text-zinc-200 outline-none">
+                        <option value="off">Off</option>
+                        <option value="peak">Peak</option>
+                        <option value="loudness">Loudness (EBU R128)</option>
+                      </select>
+                    </label>
+                    <label className="flex flex-col gap-1">
+                      <span>Gain per</span>
+                      <select value={exportSettings.normalizeScope} disabled={exportSettings.normalizeMode === "off"} onChange={(e) => updateExportSettings({ normalizeScope: e.target.value })} className="bg-transparent text-sm text-zinc-200 outline-none disabled:opacity-50">
+                        <option value="clip">Clip</option>
+                        <option value="session">Session</option>
+                      </select>
+                    </label>
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    <NumberSetting label="Peak target" suffix="dBFS" value={exportSettings.normalizePeakDbfs} max={0} step={0.5} disabled={exportSettings.normalizeMode !== "peak"} onChange={(v) => updateExportSettings({ normalizePeakDbfs: v })} />
+                    <NumberSetting label="Loudness target" suffix="LUFS" value={exportSettings.normalizeLufs} max={0} step={1} disabled={exportSettings.normalizeMode !== "loudness"} onChange={(v) => updateExportSettings({ normalizeLufs: v })} />
+                    <NumberSetting label="True-peak limit" suffix="dBTP" value={exportSettings.normalizeTruePeakDbtp} max={0} step={0.5} disabled={exportSettings.normalizeMode !== "loudness"} onChange={(v) => updateExportSettings({ normalizeTruePeakDbtp: v })} />
+                  </div>
+                </div>
+
+                <div className="rounded-xl border border-zinc-800 bg-zinc-950 p-3">
+                  <div className="mb-2 text-xs uppercase tracking-wider text-zinc-400">Export layout</div>
+                  <div className="flex items-center gap-2">
+                    <span className="text-xs text-zinc-400">Profile</span>
+                    <select value={exportSettings.profile} onChange={(e) => updateExportSettings({ profile: e.target.value })} className="min-w-0 flex-1 bg-transparent text-sm outline-none">
+                      {Object.entries(EXPORT_PROFILES).map(([k, p]) => <option key={k} value={k}>{p.label}</option>)}
+                    </select>
+                  </div>
+                  <label className="mt-2 flex items-center gap-2 text-xs text-zinc-400" title="Tokens: {n} clip number, {idx} sentence number, {id} sentence ID, {speaker} Code, {session} session id">
+                    <span>Clip names</span>
+                    <input value={exportSettings.clipNameTemplate} onChange={(e) => updateExportSettings({ clipNameTemplate: e.target.value })} placeholder="{n}_sent{idx}" className="min-w-0 flex-1 rounded-md border border-zinc-800 bg-zinc-900 px-1 py-0.5 text-sm text-zinc-200 outline-none" />
+                  </label>
+                  <div className="mt-2 grid grid-cols-3 gap-2 text-xs text-zinc-400">
+                    <label className="flex flex-col gap-1">
+                      <span>Sample rate</span>
+                      <select value={exportSettings.sampleRate} onChange={(e) => updateExportSettings({ sampleRate: Number(e.target.value) })} className="bg-transparent text-sm text-zinc-200 outline-none">
+                        {EXPORT_SAMPLE_RATES.map((r) => <option key={r} value={r}>{(r / 1000).toLocaleString("en", { maximumFractionDigits: 2 })} kHz</option>)}
+                      </select>
+                    </label>
+                    <label className="flex flex-col gap-1">
+                      <span>Bit depth</span>
+                      <select value={exportSettings.bitDepth} onChange={(e) => updateExportSettings({ bitDepth: Number(e.target.value) })} className="bg-transparent text-sm text-zinc-200 outline-none">
+                        {Object.entries(EXPORT_BIT_DEPTHS).map(([d, label]) => <option key={d} value={d}>{label}</option>)}
+                      </select>
+                    </label>
+                    <label className="flex flex-col gap-1">
+                      <span>Format</span>
+                      <select value={exportSettings.audioFormat} onChange={(e) => updateExportSettings({ audioFormat: e.target.value })} className="bg-transparent text-sm text-zinc-200 outline-none">
+                        <option value="wav">WAV</option>
+                        <option value="flac">FLAC</option>
+                      </select>
+                    </label>
+                  </div>
+                  {exportSettings.audioFormat === "flac" && exportSettings.bitDepth === 32 && <div className="mt-1 text-xs text-amber-300">FLAC has no float samples; clips are written as 24-bit.</div>}
+                  <label className="mt-2 flex items-center gap-2 text-xs text-zinc-400" title="Adds takes/ and takes.json, so the dataset can be cut again offline (scripts/rebuild-dataset.js) or reopened without loss">
+                    <input type="checkbox" checked={exportSettings.includeRawTakes} onChange={(e) => updateExportSettings({ includeRawTakes: e.target.checked })} />
+                    Include raw takes
+                  </label>
+                </div>
               </div>
             </div>
           </div>
@@ -771,29 +2627,105 @@ export default function App() {
           <div className="text-lg font-semibold text-zinc-200">
             {projectName}
             <span className="ml-3 text-sm font-normal text-zinc-400">{sentences.length} sentences</span>
+            {assignment && (
+              <span className={clsx("ml-3 rounded-full border px-2 py-0.5 text-xs font-normal", assignment.code === userCode ? "border-zinc-700 text-zinc-400" : "border-amber-600 text-amber-300")} title={`Assignment ${assignment.id} of ${assignment.master_project || assignment.master_script_id}`}>
+                Assignment {assignment.part}/{assignment.parts} · {assignment.code}
+              </span>
+            )}
           </div>
 
           <div className="flex items-center gap-3 text-sm text-zinc-400">
-            <div className="rounded-full border border-zinc-800 bg-zinc-900 px-3 py-1">{recordedIndices.size}/{sentences.length} recorded</div>
+            <div className="rounded-full border border-zinc-800 bg-zinc-900 px-3 py-1">{statusCounts.recorded}/{sentences.length - statusCounts.skipped} recorded</div>
             {currentSessionId.current ? (
               <div className="rounded-full border border-zinc-800 bg-zinc-900 px-3 py-1">Session: {currentSessionId.current.split("-")[1]}</div>
             ) : (
               <div className="rounded-full border border-zinc-800 bg-zinc-900 px-3 py-1">No active session</div>
             )}
+            {calibrating && <div className="rounded-full border border-sky-700 bg-sky-700/10 px-3 py-1 text-sky-200">Measuring room tone – stay quiet…</div>}
+            {!calibrating && currentCalibration && (
+              <div className={clsx("rounded-full border px-3 py-1", currentCalibration.tooNoisy ? "border-amber-600 bg-amber-600/10 text-amber-200" : "border-zinc-800 bg-zinc-900")} title="Room noise floor measured at session start">
+                Noise floor {currentCalibration.noiseFloorDbfs.toFixed(0)} dBFS
+              </div>
+            )}
           </div>
         </div>
 
+        {journalIssues.length > 0 && (
+          <div className="mb-4 flex items-start gap-3 rounded-2xl border border-amber-600 bg-amber-600/10 p-3 text-sm text-amber-200">
+            <AlertTriangle className="mt-0.5 h-4 w-4 shrink-0" />
+            <div className="flex-1">
+              {journalIssues.length === 1 ? "A take was" : `${journalIssues.length} takes were`} started but never stopped (the page was closed or crashed while recording), so {journalIssues.length === 1 ? "its" : "their"} audio was not saved:
+              <ul className="mt-1 text-xs text-amber-200/80">
+                {journalIssues.map((i) => <li key={i.ts}>{new Date(i.ts).toLocaleString()}, sentence {(i.index ?? 0) + 1}</li>)}
+              </ul>
+              Re-record {journalIssues.length === 1 ? "that sentence" : "those sentences"} if needed.
+            </div>
+            <button onClick={resolveJournalIssues} className="rounded-lg border border-amber-600 px-2 py-1 text-xs hover:bg-amber-600/20">Dismiss</button>
+          </div>
+        )}
+
         <div className="relative overflow-hidden rounded-3xl border border-zinc-800 bg-gradient-to-br from-zinc-950 to-zinc-900 p-6 shadow-xl">
           <div className="mb-3 text-center text-xs uppercase tracking-widest text-zinc-500">Sentence {Math.min(index + 1, sentences.length)} of {sentences.length}</div>
           <div className="mb-2 line-clamp-1 text-center text-3xl text-zinc-500">{prevText}</div>
-          <div className="mx-auto mb-2 max-w-3xl text-center text-3xl font-semibold leading-relaxed text-cyan-200">{currText}</div>
+          {editingText !== null ? (
+            <textarea
+              autoFocus
+              value={editingText}
+              onChange={(e) => setEditingText(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); editSentence(editingText); }
+                else if (e.key === "Escape") { e.preventDefault(); setEditingText(null); }
+              }}
+              onBlur={() => setEditingText(null)}
+              rows={2}
+              className="mx-auto mb-2 block w-full max-w-3xl resize-none rounded-xl border border-cyan-700 bg-zinc-950 p-2 text-center text-3xl font-semibold leading-relaxed text-cyan-200 outline-none"
+              title="Enter saves, Escape cancels"
+            />
+          ) : (
+            <div className={clsx("mx-auto mb-2 max-w-3xl text-center text-3xl font-semibold leading-relaxed", current?.skipped ? "text-zinc-500 line-through" : "text-cyan-200")}>{currText}</div>
+          )}
+          {currSpoken && currSpoken !== currText && (
+            <div className="mx-auto mb-2 max-w-3xl text-center text-lg text-zinc-400" title={`Spoken form (${TEXT_NORMALIZATIONS[textNormalization]})`}>{currSpoken}</div>
+          )}
           <div className="mt-2 line-clamp-1 text-center text-3xl text-zinc-500">{nextText}</div>
+          {current && (
+            <div className="mt-4 flex flex-wrap items-center justify-center gap-2 text-xs text-zinc-400">
+              {current.originalText != null && <span className="rounded-full border border-zinc-700 px-2 py-0.5" title={`Script: ${current.originalText}`}>Edited</span>}
+              {current.skipped && <span className="rounded-full border border-amber-600 bg-amber-600/10 px-2 py-0.5 text-amber-200">Skipped: {SKIP_REASONS[current.skipped] ?? current.skipped}</span>}
+              <button onClick={toggleRetake} disabled={disableUi || current.skipped} className={clsx("rounded-lg border px-2 py-1 disabled:opacity-50", retakeMarked ? "border-amber-600 bg-amber-600/10 text-amber-200 hover:bg-amber-600/20" : "border-zinc-700 hover:bg-zinc-800")}>
+                {retakeMarked ? "Marked for retake" : "Mark for retake"}
+              </button>
+              <button onClick={() => setEditingText(currText)} disabled={disableUi} className="inline-flex items-center gap-1 rounded-lg border border-zinc-700 px-2 py-1 hover:bg-zinc-800 disabled:opacity-50">
+                <Pencil className="h-3 w-3" /> Edit
+              </button>
+              {current.skipped ? (
+                <button onClick={() => skipSentence(null)} disabled={disableUi} className="rounded-lg border border-zinc-700 px-2 py-1 hover:bg-zinc-800 disabled:opacity-50">Unskip</button>
+              ) : (
+                <label className="inline-flex items-center gap-1 rounded-lg border border-zinc-700 px-2 py-1">
+                  <SkipForward className="h-3 w-3" />
+                  <select value="" onChange={(e) => e.target.value && skipSentence(e.target.value)} disabled={disableUi} className="bg-transparent outline-none">
+                    <option value="">Skip…</option>
+                    {Object.entries(SKIP_REASONS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                  </select>
+                </label>
+              )}
+            </div>
+          )}
+          <div className="pointer-events-none absolute left-4 top-4">
+            <LevelMeter stream={stream} />
+          </div>
           <div className="pointer-events-none absolute right-4 top-4 flex items-center gap-2 text-sm">
             <span className={clsx("inline-flex h-2.5 w-2.5 rounded-full", isRecording ? "bg-red-500 animate-pulse" : "bg-zinc-600")}></span>
             <span className={clsx(isRecording ? "text-red-400" : "text-zinc-400")}>{isRecording ? "Recording" : "Idle"}</span>
           </div>
         </div>
 
+        {sentences.length > 0 && (
+          <SentenceMinimap statuses={statuses} counts={statusCounts} index={index} disabled={disableUi} onJump={(i) => jumpTo(i, "minimap")} onNext={jumpToNext}>
+            <SentenceSearch sentences={scriptSentences} disabled={disableUi} onJump={jumpTo} />
+          </SentenceMinimap>
+        )}
+
         <div className="mt-5 flex flex-wrap items-center justify-between gap-3">
           <div className="flex items-center gap-2">
             <button onClick={prev} disabled={disableUi} className="inline-flex items-center gap-2 rounded-2xl border border-zinc-800 bg-zinc-900/90 px-4 py-2 text-sm text-zinc-100 shadow hover:bg-zinc-800/80 disabled:opacity-50">
@@ -805,21 +2737,27 @@ export default function App() {
           </div>
 
           <div className="flex items-center gap-2">
-            <button onClick={() => { if (isProcessing) return; if (!currentSessionId.current) { ensureSession(); } else { const id = `${userCode}-${Date.now()}`; currentSessionId.current = id; setSessions((s) => [...s, { id, start: nowIso(), takes: [] }]); addLog("session_started", { sessionId: id }); } }} disabled={isProcessing} className="inline-flex items-center gap-2 rounded-2xl border border-zinc-800 bg-zinc-900/90 px-4 py-2 text-sm text-zinc-100 shadow hover:bg-zinc-800/80 disabled:opacity-50">
+            <button onClick={async () => { if (disableUi) return; const session = startSession(); if (recordingSettings.calibrateOnSession && !isRecording) await calibrateSession(session); }} disabled={disableUi} className="inline-flex items-center gap-2 rounded-2xl border border-zinc-800 bg-zinc-900/90 px-4 py-2 text-sm text-zinc-100 shadow hover:bg-zinc-800/80 disabled:opacity-50">
               <AudioLines className="h-4 w-4" /> New Session
             </button>
 
-            <button onClick={toggleRecord} disabled={!sentences.length || isProcessing} className={clsx("inline-flex items-center gap-2 rounded-2xl border px-4 py-2 text-sm shadow", isRecording ? "border-red-600 bg-red-600/10 text-red-200 hover:bg-red-600/20" : "border-emerald-600 bg-emerald-600/10 text-emerald-200 hover:bg-emerald-600/20")} title="Spacebar toggles recording">
+            <button onClick={toggleRecord} disabled={!sentences.length || disableUi} className={clsx("inline-flex items-center gap-2 rounded-2xl border px-4 py-2 text-sm shadow", isRecording ? "border-red-600 bg-red-600/10 text-red-200 hover:bg-red-600/20" : "border-emerald-600 bg-emerald-600/10 text-emerald-200 hover:bg-emerald-600/20")} title="Spacebar toggles recording">
               {isRecording ? <Square className="h-4 w-4" /> : <Mic className="h-4 w-4" />}
               {isRecording ? "Stop" : "Record"} (Space)
             </button>
 
-            <button onClick={buildDatasetZip} disabled={!hasAnyRecording || isProcessing || !sentences.length} className="inline-flex items-center gap-2 rounded-2xl border border-indigo-600 bg-indigo-600/10 px-4 py-2 text-sm text-indigo-200 shadow hover:bg-indigo-600/20 disabled:opacity-50">
+            <button onClick={() => buildDatasetZip()} disabled={!hasAnyRecording || isProcessing || !sentences.length} className="inline-flex items-center gap-2 rounded-2xl border border-indigo-600 bg-indigo-600/10 px-4 py-2 text-sm text-indigo-200 shadow hover:bg-indigo-600/20 disabled:opacity-50">
               <Download className="h-4 w-4" /> Build Dataset
             </button>
 
+            {lastExport && (
+              <button onClick={() => buildDatasetZip(true)} disabled={!newTakeCount || isProcessing || !sentences.length} title={`Only takes recorded since the export of ${new Date(lastExport.generatedAt).toLocaleString()}, numbered after its ${lastExport.clipCount} clips`} className="inline-flex items-center gap-2 rounded-2xl border border-indigo-600 bg-indigo-600/10 px-4 py-2 text-sm text-indigo-200 shadow hover:bg-indigo-600/20 disabled:opacity-50">
+                <Download className="h-4 w-4" /> Build New Only ({newTakeCount})
+              </button>
+            )}
+
             {zipBlob && !isProcessing && (
-              <button onClick={() => downloadBlob(zipBlob, `${projectName || "project"}_${userCode}_dataset.zip`)} className="inline-flex items-center gap-2 rounded-2xl border border-sky-600 bg-sky-600/10 px-4 py-2 text-sm text-sky-200 shadow hover:bg-sky-600/20">
+              <button onClick={downloadDataset} className="inline-flex items-center gap-2 rounded-2xl border border-sky-600 bg-sky-600/10 px-4 py-2 text-sm text-sky-200 shadow hover:bg-sky-600/20">
                 <Download className="h-4 w-4" /> Download Dataset
               </button>
             )}
@@ -830,7 +2768,9 @@ export default function App() {
           <div className="mt-6 rounded-2xl border border-zinc-800 bg-zinc-900 p-4">
             <div className="mb-2 flex items-center justify-between text-sm text-zinc-300">
               <div className="flex items-center gap-2"><StopCircle className="h-4 w-4 text-zinc-400" />Processing...</div>
-              <div className="text-zinc-400">This cannot be stopped</div>
+              <button onClick={() => cancelBuildRef.current?.()} className="inline-flex items-center gap-1 rounded-lg border border-zinc-700 bg-zinc-800 px-2 py-1 text-xs text-zinc-200 hover:bg-zinc-700">
+                <X className="h-3 w-3" /> Cancel
+              </button>
             </div>
             <div className="h-2 w-full overflow-hidden rounded-full bg-zinc-800">
               <div className="h-full bg-gradient-to-r from-indigo-400 to-sky-400" style={{ width: `${progress}%` }} />
@@ -839,6 +2779,31 @@ export default function App() {
           </div>
         )}
 
+        {qcReport && !isProcessing && (
+          <div className="mt-6 rounded-2xl border border-zinc-800 bg-zinc-900 p-4">
+            <div className="mb-2 flex items-center justify-between text-sm text-zinc-300">
+              <div className="flex items-center gap-2">
+                <AlertTriangle className={clsx("h-4 w-4", qcReport.summary.flagged ? "text-amber-400" : "text-zinc-500")} />
+                Quality check: {qcReport.summary.flagged} of {qcReport.summary.clips} clips flagged
+              </div>
+              <button onClick={() => setQcReport(null)} className="text-xs text-zinc-400 hover:text-zinc-200">Dismiss</button>
+            </div>
+            {qcReport.summary.flagged > 0 && (
+              <div className="max-h-64 space-y-1 overflow-auto">
+                {qcReport.clips.filter((c) => c.flags.length).map((c) => (
+                  <div key={c.file} className="flex flex-wrap items-center gap-2 rounded-lg border border-zinc-800 bg-zinc-950 px-2 py-1 text-xs">
+                    <span className="text-zinc-500">#{c.sentence_index + 1}</span>
+                    <span className="min-w-0 flex-1 truncate text-zinc-300">{scriptSentences[c.sentence_index]?.text ?? c.file}</span>
+                    <span className="text-amber-300">{c.flags.join(", ")}</span>
+                    <span className="text-zinc-500">peak {c.peakDbfs.toFixed(1)} dBFS • SNR {c.snrDb.toFixed(0)} dB</span>
+                    <button onClick={() => jumpTo(c.sentence_index, "qc_flagged")} disabled={isProcessing} className="rounded-md border border-zinc-700 px-2 py-0.5 text-zinc-200 hover:bg-zinc-800 disabled:opacity-50">Go to</button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {sessions.length > 0 && (
           <div className="mt-8">
             <div className="mb-2 text-sm font-medium text-zinc-300">Recording Sessions</div>
@@ -847,16 +2812,82 @@ export default function App() {
                 <div key={s.id} className="rounded-2xl border border-zinc-800 bg-zinc-900 p-4">
                   <div className="mb-1 text-sm text-zinc-300">{s.id}</div>
                   <div className="text-xs text-zinc-500">{s.takes.length} takes • started {new Date(s.start).toLocaleString()}</div>
+                  {s.takes.length > 0 && (uploadSettings.ingestUrl || s.takes.some((t) => uploads[takeKey(t)])) && (
+                    <TakeUploads
+                      takes={s.takes}
+                      uploads={uploads}
+                      canQueue={Boolean(uploadSettings.ingestUrl && scriptId)}
+                      onQueue={queueUpload}
+                      onRetry={uploadQueue.retry}
+                    />
+                  )}
                 </div>
               ))}
             </div>
           </div>
         )}
 
+        {hasAnyRecording && (
+          <TakeReview
+            sessions={sessions}
+            log={log}
+            sentences={scriptSentences}
+            review={review}
+            settings={exportSettings}
+            disabled={isProcessing || isRecording}
+            onSetStatus={setSegmentStatus}
+            onSelectBest={selectBestSegment}
+          />
+        )}
+
         <div className="mt-10 text-center text-xs text-zinc-500">
           Use Left / Right arrows to navigate. Press Space to start/stop recording. A pulsating dot indicates recording. All actions are captured in a timestamped log.
         </div>
 
+        {/* Prose import preview */}
+        {prosePreview && (
+          <ProsePreview
+            source={prosePreview}
+            initialMaxLength={fileType === 'prose' ? proseMaxLength : DEFAULT_PROSE_MAX_LENGTH}
+            hasScript={sentences.length > 0}
+            onCancel={() => setProsePreview(null)}
+            onConfirm={applyProse}
+          />
+        )}
+
+        {/* Speaker profile modal */}
+        {showSpeaker && (
+          <SpeakerProfileForm
+            userCode={userCode}
+            settings={speakerSettings}
+            speaker={speaker}
+            hasConsent={hasConsent}
+            onCancel={() => setShowSpeaker(false)}
+            onSave={saveSpeaker}
+          />
+        )}
+
+        {showCoverage && (
+          <CoverageView
+            sentences={scriptSentences}
+            spokenForms={spokenForms}
+            lang={textNormalization === "off" ? "nb" : textNormalization}
+            statuses={statuses}
+            disabled={isRecording || isProcessing}
+            onCreate={createCoverageScript}
+            onClose={() => setShowCoverage(false)}
+          />
+        )}
+
+        {showCoordinator && (
+          <CoordinatorView
+            sentences={scriptSentences}
+            statuses={statuses}
+            onExport={exportAssignments}
+            onClose={() => setShowCoordinator(false)}
+          />
+        )}
+
         {/* Resume modal */}
         {showResume && (
           <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 p-4">
@@ -871,11 +2902,11 @@ export default function App() {
                   setProjectName(snap.projectName || "Untitled Project");
                   setFileType(snap.fileType || null);
                   setRawFileText(snap.rawText || "");
-                  if (snap.fileType === 'csv') { setCsvHasHeader(snap.options?.csvHasHeader ?? true); setCsvColumnIndex(snap.options?.csvColumnIndex ?? 0); }
-                  if (snap.fileType === 'jsonl') { setJsonlKey(snap.options?.jsonlKey ?? 'text'); }
+                  applyParseOptions(snap.fileType, snap.options);
                   setSentences(Array.isArray(snap.sentences) ? snap.sentences : []);
                   const idx = Math.min(Math.max(0, snap.index ?? 0), Math.max(0, (snap.sentences?.length || 1) - 1));
-                  setIndex(idx);
+                  setPosition(idx);
+                  restoreRecordings(userCode, snap.scriptId);
                   setShowResume(false);
                 }}
               />
@@ -894,7 +2925,14 @@ export default function App() {
 // Saved scripts list
 function SavedScriptsList({ userCode, onLoad }) {
   const [items, setItems] = React.useState(() => listScriptsForCode(userCode));
+  const [takeCounts, setTakeCounts] = React.useState({});
   useEffect(() => { setItems(listScriptsForCode(userCode)); }, [userCode]);
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(items.map(async (s) => [s.scriptId, await countTakesForScript({ code: userCode, scriptId: s.scriptId })]))
+      .then((pairs) => { if (!cancelled) setTakeCounts(Object.fromEntries(pairs)); });
+    return () => { cancelled = true; };
+  }, [items, userCode]);
   if (!items.length) return <div className="text-sm text-zinc-400">No saved scripts for this code.</div>;
   return (
     <div className="max-h-80 overflow-auto rounded-xl border border-zinc-800">
@@ -905,6 +2943,8 @@ function SavedScriptsList({ userCode, onLoad }) {
             <th className="px-3 py-2">Updated</th>
             <th className="px-3 py-2">Sentences</th>
             <th className="px-3 py-2">Index</th>
+            <th className="px-3 py-2">Takes</th>
+            <th className="px-3 py-2">Recorded</th>
             <th className="px-3 py-2"></th>
           </tr>
         </thead>
@@ -915,6 +2955,8 @@ function SavedScriptsList({ userCode, onLoad }) {
               <td className="px-3 py-2 text-zinc-400">{s.updatedAt ? new Date(s.updatedAt).toLocaleString() : ""}</td>
               <td className="px-3 py-2">{Array.isArray(s.sentences) ? s.sentences.length : (s.rawText ? (s.rawText.match(/\n/g)||[]).length+1 : 0)}</td>
               <td className="px-3 py-2">{s.index ?? 0}</td>
+              <td className="px-3 py-2">{takeCounts[s.scriptId] ?? "…"}</td>
+              <td className="px-3 py-2 text-zinc-400">{statusSummary(getSavedStatus({ code: userCode, scriptId: s.scriptId }).counts)}</td>
               <td className="px-3 py-2 text-right">
                 <button onClick={() => onLoad(s)} className="rounded-lg border border-indigo-600 bg-indigo-600/10 px-2 py-1 text-xs text-indigo-200 hover:bg-indigo-600/20">Load</button>
               </td>
@@ -924,4 +2966,543 @@ function SavedScriptsList({ userCode, onLoad }) {
       </table>
     </div>
   );
-}
\ No newline at end of file
+}
+const statusSummary = (counts) => (counts ? `${counts.recorded}${counts.retake ? ` (+${counts.retake} retake)` : ""}${counts.skipped ? `, ${counts.skipped} skipped` : ""}` : "–");
+
+// One cell per sentence coloured by its status, under the prompter card; click a cell to go there. A status filter
+// dims the other cells and points the "Next" button at that status.
+function SentenceMinimap({ statuses, counts, index, disabled, onJump, onNext, children }) {
+  const [filter, setFilter] = useState("all");
+  const nextStatus = filter === "all" ? "pending" : filter;
+  return (
+    <div className="mt-3 rounded-2xl border border-zinc-800 bg-zinc-900/60 p-3">
+      {children}
+      <div className="mb-2 flex flex-wrap items-center gap-2 text-xs">
+        {["all", ...Object.keys(SENTENCE_STATUSES)].map((k) => (
+          <button key={k} onClick={() => setFilter(k)} className={clsx("inline-flex items-center gap-1.5 rounded-lg border px-2 py-0.5", filter === k ? "border-zinc-500 bg-zinc-800 text-zinc-100" : "border-zinc-800 text-zinc-400 hover:bg-zinc-800")}>
+            {k !== "all" && <span className={clsx("inline-block h-2 w-2 rounded-sm", STATUS_COLORS[k])} />}
+            {k === "all" ? `All (${statuses.length})` : `${SENTENCE_STATUSES[k]} (${counts[k]})`}
+          </button>
+        ))}
+        <button onClick={() => onNext(nextStatus)} disabled={disabled || !counts[nextStatus]} className="ml-auto rounded-lg border border-zinc-700 px-2 py-0.5 text-zinc-200 hover:bg-zinc-800 disabled:opacity-50" title={nextStatus === "pending" ? "Shortcut: N" : undefined}>
+          Next {SENTENCE_STATUSES[nextStatus].toLowerCase()}
+        </button>
+      </div>
+      <div className="flex max-h-24 flex-wrap gap-0.5 overflow-y-auto">
+        {statuses.map((st, i) => (
+          <button
+            key={i}
+            onClick={() => onJump(i)}
+            disabled={disabled}
+            title={`#${i + 1} ${SENTENCE_STATUSES[st]}`}
+            className={clsx("h-3 w-2 rounded-sm", STATUS_COLORS[st], i === index && "ring-2 ring-cyan-300", filter !== "all" && filter !== st && "opacity-20")}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Phone, diphone and character-bigram coverage of the script and of what has been recorded, plus a greedy selection
+// of the sentences that cover the most units; the selection becomes a new script (see createCoverageScript)
+function CoverageView({ sentences, spokenForms, lang, statuses, disabled, onCreate, onClose }) {
+  const units = useMemo(() => sentences.map((s, i) => coverageUnits(spokenForms[i] || normalizeNorwegian(s.text, lang))), [sentences, spokenForms, lang]);
+  const active = useMemo(() => sentences.map((_, i) => i).filter((i) => statuses[i] !== "skipped"), [sentences, statuses]);
+  const script = useMemo(() => coverageCounts(units, active), [units, active]);
+  const recorded = useMemo(() => coverageCounts(units, active.filter((i) => statuses[i] === "recorded")), [units, active, statuses]);
+  const [count, setCount] = useState(() => Math.min(500, active.length));
+  const [mode, setMode] = useState("reorder");
+  const n = Math.max(1, Math.min(count, active.length));
+  const picked = useMemo(() => greedyCoverageSelect(units, active, n), [units, active, n]);
+  const selected = useMemo(() => coverageCounts(units, picked), [units, picked]);
+  const inOrder = useMemo(() => coverageCounts(units, active.slice(0, n)), [units, active, n]);
+  const pct = (part, whole) => (whole ? `${Math.round((100 * part) / whole)}%` : "–");
+  const missingPhones = NO_PHONES.filter((p) => !script.phones.has(p));
+  const unrecordedPhones = [...script.phones].filter(([p]) => !recorded.phones.has(p)).sort((a, b) => a[1] - b[1]);
+  const singleDiphones = [...script.diphones.values()].filter((c) => c === 1).length;
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 p-4">
+      <div className="max-h-full w-full max-w-2xl overflow-y-auto rounded-2xl border border-zinc-800 bg-zinc-950 p-4 shadow-2xl">
+        <div className="mb-3 flex items-center justify-between">
+          <div className="text-sm font-medium text-zinc-200">Phonetic coverage ({TEXT_NORMALIZATIONS[lang]} spoken form)</div>
+          <button onClick={onClose} className="text-xs text-zinc-400 hover:text-zinc-200">Close</button>
+        </div>
+        <table className="w-full text-sm">
+          <thead className="text-left text-xs text-zinc-500">
+            <tr><th className="py-1 font-normal">Unit</th><th className="font-normal">In script</th><th className="font-normal">Recorded</th><th className="font-normal">Selection of {n}</th><th className="font-normal">First {n} in order</th></tr>
+          </thead>
+          <tbody className="text-zinc-200">
+            {Object.entries(COVERAGE_KINDS).map(([kind, label]) => (
+              <tr key={kind} className="border-t border-zinc-800">
+                <td className="py-1 text-zinc-400">{label}</td>
+                <td>{script[kind].size}{kind === "phones" && <span className="text-zinc-500"> / {NO_PHONES.length}</span>}</td>
+                <td>{recorded[kind].size} <span className="text-zinc-500">({pct(recorded[kind].size, script[kind].size)})</span></td>
+                <td>{selected[kind].size} <span className="text-zinc-500">({pct(selected[kind].size, script[kind].size)})</span></td>
+                <td>{inOrder[kind].size} <span className="text-zinc-500">({pct(inOrder[kind].size, script[kind].size)})</span></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="mt-3 space-y-1 text-xs text-zinc-400">
+          <div>Phones not in the script: {missingPhones.length ? <span className="font-mono text-amber-300">{missingPhones.join(" ")}</span> : "none"}</div>
+          <div>Not recorded yet (occurrences in script): {unrecordedPhones.length ? <span className="font-mono text-zinc-300">{unrecordedPhones.map(([p, c]) => `${p} ${c}`).join(" · ")}</span> : "none"}</div>
+          <div>{singleDiphones} of {script.diphones.size} diphones occur in only one sentence.</div>
+        </div>
+        <div className="mt-4 rounded-xl border border-zinc-800 bg-zinc-900/60 p-3">
+          <div className="mb-2 text-xs uppercase tracking-wider text-zinc-500">Greedy selection</div>
+          <div className="flex flex-wrap items-end gap-3">
+            <div className="w-40"><NumberSetting label="Sentences" value={count} min={1} max={active.length} onChange={setCount} /></div>
+            <label className="flex flex-col gap-1 text-xs text-zinc-400">
+              <span>New script</span>
+              <select value={mode} onChange={(e) => setMode(e.target.value)} className="bg-transparent text-sm text-zinc-200 outline-none">
+                <option value="reorder">Reorder: selection first, then the rest</option>
+                <option value="subset">Subset: only the selection</option>
+              </select>
+            </label>
+            <button onClick={() => onCreate(picked, mode)} disabled={disabled || !picked.length} className="ml-auto rounded-lg border border-indigo-600 bg-indigo-600/10 px-3 py-1.5 text-sm text-indigo-200 hover:bg-indigo-600/20 disabled:opacity-50">
+              Create script
+            </button>
+          </div>
+          <div className="mt-2 text-xs text-zinc-500">Loads as a new script; the current one and its recordings stay under Resume…. Skipped sentences are left out.</div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Split the script between reader Codes and preview the parts before downloading the bundles; skipped sentences are
+// left out of every part
+function CoordinatorView({ sentences, statuses, onExport, onClose }) {
+  const candidates = useMemo(() => sentences.map((_, i) => i).filter((i) => statuses[i] !== "skipped"), [sentences, statuses]);
+  const [codesText, setCodesText] = useState("");
+  const [method, setMethod] = useState("count");
+  const [perCode, setPerCode] = useState(200);
+  const [rangesText, setRangesText] = useState("");
+  const codes = useMemo(() => parseCodes(codesText), [codesText]);
+  const ranges = useMemo(() => parseAssignmentRanges(rangesText, sentences.length), [rangesText, sentences.length]);
+  const assignments = useMemo(() => splitAssignments(candidates, codes, { method, perCode, ranges }), [candidates, codes, method, perCode, ranges]);
+  const assigned = new Set(assignments.flatMap((a) => a.indices));
+  const overlapping = assignments.reduce((n, a) => n + a.indices.length, 0) - assigned.size;
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 p-4">
+      <div className="max-h-full w-full max-w-2xl overflow-y-auto rounded-2xl border border-zinc-800 bg-zinc-950 p-4 shadow-2xl">
+        <div className="mb-3 flex items-center justify-between">
+          <div className="text-sm font-medium text-zinc-200">Assign sentences to readers</div>
+          <button onClick={onClose} className="text-xs text-zinc-400 hover:text-zinc-200">Close</button>
+        </div>
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="flex flex-col gap-1 text-xs text-zinc-400">
+            <span>Method</span>
+            <select value={method} onChange={(e) => setMethod(e.target.value)} className="bg-transparent text-sm text-zinc-200 outline-none">
+              {Object.entries(ASSIGNMENT_METHODS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+          </label>
+          {method === "count" && <div className="w-40"><NumberSetting label="Sentences per Code" value={perCode} min={1} max={candidates.length} onChange={setPerCode} /></div>}
+        </div>
+        {method === "range" ? (
+          <label className="mt-3 flex flex-col gap-1 text-xs text-zinc-400">
+            <span>One Code per line with its sentence numbers, e.g. "AB12CD 1-200, 401-450"</span>
+            <textarea value={rangesText} onChange={(e) => setRangesText(e.target.value)} rows={5} className="rounded-lg border border-zinc-800 bg-zinc-900 px-2 py-1 font-mono text-sm text-zinc-200 outline-none" />
+          </label>
+        ) : (
+          <label className="mt-3 flex flex-col gap-1 text-xs text-zinc-400">
+            <span className="flex items-center justify-between">
+              Reader Codes (separated by commas, spaces or new lines)
+              <button onClick={() => setCodesText((t) => [...parseCodes(t), randomCode()].join("\n"))} className="text-zinc-400 hover:text-zinc-200">+ New Code</button>
+            </span>
+            <textarea value={codesText} onChange={(e) => setCodesText(e.target.value)} rows={4} className="rounded-lg border border-zinc-800 bg-zinc-900 px-2 py-1 font-mono text-sm text-zinc-200 outline-none" />
+          </label>
+        )}
+        <table className="mt-3 w-full text-sm">
+          <thead className="text-left text-xs text-zinc-500">
+            <tr><th className="py-1 font-normal">Part</th><th className="font-normal">Code</th><th className="font-normal">Sentences</th><th className="font-normal">Numbers</th></tr>
+          </thead>
+          <tbody className="text-zinc-200">
+            {assignments.map((a, k) => (
+              <tr key={a.code} className="border-t border-zinc-800">
+                <td className="py-1 text-zinc-400">{k + 1}</td>
+                <td className="font-mono">{a.code}</td>
+                <td className={clsx(!a.indices.length && "text-amber-300")}>{a.indices.length}</td>
+                <td className="max-w-xs truncate font-mono text-xs text-zinc-400" title={formatRanges(a.indices)}>{formatRanges(a.indices) || "–"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="mt-2 space-y-1 text-xs text-zinc-400">
+          <div>{candidates.length - assigned.size} of {candidates.length} sentences unassigned{candidates.length < sentences.length && ` (${sentences.length - candidates.length} skipped sentences left out)`}.</div>
+          {overlapping > 0 && <div className="text-amber-300">{overlapping} sentences are assigned to more than one Code.</div>}
+        </div>
+        <div className="mt-4 flex items-center justify-between gap-2">
+          <div className="text-xs text-zinc-500">Each reader loads their bundle with Upload Script.</div>
+          <button onClick={() => onExport(assignments, method)} disabled={!assigned.size} className="rounded-lg border border-indigo-600 bg-indigo-600/10 px-3 py-1.5 text-sm text-indigo-200 hover:bg-indigo-600/20 disabled:opacity-50">
+            Download bundles
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Upload state of each take in a session, oldest first: click a failed take to retry it, or one recorded before
+// upload was turned on to queue it
+const UPLOAD_STATUS_STYLES = {
+  done: "border-emerald-700 text-emerald-300",
+  uploading: "border-indigo-600 text-indigo-200",
+  pending: "border-amber-700 text-amber-300",
+  failed: "border-red-700 text-red-300",
+};
+function TakeUploads({ takes, uploads, canQueue, onQueue, onRetry }) {
+  const entries = takes.map((t) => uploads[takeKey(t)]);
+  const done = entries.filter((e) => e?.status === "done").length;
+  return (
+    <div className="mt-2">
+      <div className="mb-1 text-xs text-zinc-500">Upload: {done}/{takes.length} takes uploaded</div>
+      <div className="flex flex-wrap gap-1">
+        {takes.map((t, k) => {
+          const e = entries[k];
+          const label = `#${(t.idx ?? 0) + 1} ${new Date(t.startedAt).toLocaleTimeString()}`;
+          if (!e) {
+            return (
+              <button key={takeKey(t)} onClick={() => onQueue(t)} disabled={!canQueue} className="rounded-full border border-zinc-700 px-2 py-0.5 text-[11px] text-zinc-500 hover:bg-zinc-800 disabled:hover:bg-transparent" title={canQueue ? "Not uploaded - click to queue" : "Not uploaded"}>
+                {label} · –
+              </button>
+            );
+          }
+          const state = {
+            done: "uploaded",
+            uploading: `${e.size ? Math.round((100 * e.sent) / e.size) : 0}%`,
+            pending: e.attempts ? `retry ${new Date(e.nextAttemptAt ?? Date.now()).toLocaleTimeString()}` : "queued",
+            failed: "failed",
+          }[e.status];
+          return (
+            <button
+              key={e.key}
+              onClick={() => onRetry(e)}
+              disabled={e.status !== "failed"}
+              className={clsx("rounded-full border px-2 py-0.5 text-[11px]", UPLOAD_STATUS_STYLES[e.status], e.status === "failed" && "hover:bg-zinc-800")}
+              title={[e.uploadId, e.error, e.status === "failed" && "Click to retry", e.uploadedAt && `Uploaded ${new Date(e.uploadedAt).toLocaleString()}`].filter(Boolean).join("\n")}
+            >
+              {label} · {state}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// Speaker profile for the current Code: the configured fields and the consent confirmation required before recording
+function SpeakerProfileForm({ userCode, settings, speaker, hasConsent, onCancel, onSave }) {
+  const [profile, setProfile] = useState(() => ({ ...speaker.profile }));
+  const [consented, setConsented] = useState(hasConsent);
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 p-4">
+      <div className="w-full max-w-xl rounded-2xl border border-zinc-800 bg-zinc-950 p-4 shadow-2xl">
+        <div className="mb-3 flex items-center justify-between">
+          <div className="text-sm font-medium text-zinc-200">Speaker profile for code "{userCode}"</div>
+          <button onClick={onCancel} className="text-xs text-zinc-400 hover:text-zinc-200">Close</button>
+        </div>
+        <div className="grid gap-3 sm:grid-cols-2">
+          {settings.fields.map((f) => (
+            <label key={f.key} className="flex flex-col gap-1 text-xs text-zinc-400">
+              <span>{f.label}</span>
+              {f.options.length ? (
+                <select value={profile[f.key] ?? ""} onChange={(e) => setProfile((p) => ({ ...p, [f.key]: e.target.value }))} className="rounded-lg border border-zinc-800 bg-zinc-900 px-2 py-1 text-sm text-zinc-200 outline-none">
+                  <option value="">–</option>
+                  {f.options.map((o) => <option key={o} value={o}>{o}</option>)}
+                </select>
+              ) : (
+                <input value={profile[f.key] ?? ""} onChange={(e) => setProfile((p) => ({ ...p, [f.key]: e.target.value }))} className="rounded-lg border border-zinc-800 bg-zinc-900 px-2 py-1 text-sm text-zinc-200 outline-none" />
+              )}
+            </label>
+          ))}
+        </div>
+        <div className="mt-4 rounded-xl border border-zinc-800 bg-zinc-900/60 p-3 text-sm text-zinc-300">
+          <div className="mb-2 text-xs uppercase tracking-wider text-zinc-500">Consent (version {settings.consentVersion})</div>
+          <p className="mb-2 whitespace-pre-line">{settings.consentText}</p>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={consented} onChange={(e) => setConsented(e.target.checked)} />
+            I confirm
+          </label>
+          {hasConsent && <div className="mt-1 text-xs text-zinc-500">Confirmed {new Date(speaker.consent.acceptedAt).toLocaleString()}</div>}
+          {speaker.consent && !hasConsent && <div className="mt-1 text-xs text-amber-300">The consent text changed since version {speaker.consent.version} was confirmed.</div>}
+          {!consented && <div className="mt-1 text-xs text-amber-300">Recording is disabled until consent is confirmed.</div>}
+        </div>
+        <div className="mt-4 flex justify-end gap-2">
+          <button onClick={onCancel} className="rounded-lg border border-zinc-700 px-3 py-1.5 text-sm text-zinc-300 hover:bg-zinc-800">Cancel</button>
+          <button
+            onClick={() => onSave(Object.fromEntries(settings.fields.map((f) => [f.key, profile[f.key] ?? ""])), consented)}
+            className="rounded-lg border border-indigo-600 bg-indigo-600/10 px-3 py-1.5 text-sm text-indigo-200 hover:bg-indigo-600/20"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Go to a sentence number, or search the script text (case- and accent-insensitive) and pick a match
+const foldText = (t) => String(t ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+function SentenceSearch({ sentences, disabled, onJump }) {
+  const [query, setQuery] = useState("");
+  const trimmed = query.trim();
+  const goTo = /^#?\d+$/.test(trimmed) ? Number(trimmed.replace("#", "")) : null;
+  const matches = useMemo(() => {
+    if (goTo !== null || trimmed.length < 2) return [];
+    const q = foldText(trimmed);
+    const out = [];
+    for (let i = 0; i < sentences.length && out.length < 20; i++) if (foldText(sentences[i].text).includes(q)) out.push(i);
+    return out;
+  }, [sentences, trimmed, goTo]);
+  const pick = (i, reason) => { onJump(i, reason); setQuery(""); };
+  return (
+    <div className="relative mb-2">
+      <input
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") setQuery("");
+          if (e.key !== "Enter" || disabled) return;
+          if (goTo !== null && goTo >= 1 && goTo <= sentences.length) pick(goTo - 1, "goto");
+          else if (matches.length) pick(matches[0], "search");
+        }}
+        disabled={disabled}
+        placeholder="Go to # or search text…"
+        className="w-full rounded-lg border border-zinc-800 bg-zinc-950 px-2 py-1 text-sm text-zinc-200 outline-none focus:border-zinc-600 disabled:opacity-50"
+      />
+      {goTo !== null && trimmed && (
+        <div className="mt-1 text-xs text-zinc-500">{goTo >= 1 && goTo <= sentences.length ? `Enter: go to sentence ${goTo}` : `No sentence ${goTo} (1–${sentences.length})`}</div>
+      )}
+      {matches.length > 0 && (
+        <div className="absolute z-30 mt-1 max-h-64 w-full overflow-auto rounded-xl border border-zinc-800 bg-zinc-900 p-1 shadow-xl">
+          {matches.map((i) => (
+            <button key={i} onClick={() => pick(i, "search")} disabled={disabled} className="block w-full truncate rounded-lg px-2 py-1 text-left text-sm text-zinc-300 hover:bg-zinc-800">
+              <span className="mr-2 text-zinc-500">#{i + 1}</span>{sentences[i].text}
+            </button>
+          ))}
+        </div>
+      )}
+      {trimmed.length >= 2 && goTo === null && !matches.length && <div className="mt-1 text-xs text-zinc-500">No matches</div>}
+    </div>
+  );
+}
+
+// Per-sentence review of every segment cut from the takes, with playback and accept/reject/best controls
+function TakeReview({ sessions, log, sentences, review, settings, disabled, onSetStatus, onSelectBest }) {
+  const [segments, setSegments] = React.useState(null);
+  const [loading, setLoading] = React.useState(false);
+  const [playingKey, setPlayingKey] = React.useState(null);
+  const decodedRef = useRef(new Map()); // takeKey -> { pcm, sampleRate }
+  const stopRef = useRef(null);
+
+  // new takes or navigation change the cut list, so ask for a reload; review decisions and other log entries don't
+  const cutEntries = useMemo(() => log.filter((e) => NAV_ACTIONS.includes(e.action) || e.action === "record_start" || e.action === "record_stop").length, [log]);
+  useEffect(() => { setSegments(null); }, [sessions, cutEntries, sentences.length, settings]);
+  useEffect(() => () => stopRef.current?.(), []);
+
+  async function loadSegments() {
+    setLoading(true);
+    try {
+      const out = [];
+      const takes = sessions.flatMap((s) => s.takes.map((t) => ({ ...t, sessionId: s.id })))
+        .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+      for (const take of takes) {
+        const k = takeKey(take);
+        if (!decodedRef.current.has(k)) decodedRef.current.set(k, await decodeToMono(take.blob));
+        const { pcm, sampleRate } = decodedRef.current.get(k);
+        for (const seg of cutTake({ take, pcm, sampleRate, allLogs: log, sentencesLen: sentences.length, settings })) {
+          out.push({ ...seg, take, sampleRate, pcm: pcm.subarray(seg.sampleStart, seg.sampleEnd) });
+        }
+      }
+      setSegments(out);
+    } catch (e) {
+      console.error("Failed to decode takes for review", e);
+      alert("Could not decode the recorded takes for review.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function togglePlay(seg) {
+    stopRef.current?.();
+    stopRef.current = null;
+    if (playingKey === seg.key) { setPlayingKey(null); return; }
+    setPlayingKey(seg.key);
+    stopRef.current = playPcm(seg.pcm, seg.sampleRate, () => setPlayingKey((k) => (k === seg.key ? null : k)));
+  }
+
+  const bySentence = useMemo(() => {
+    const groups = new Map();
+    for (const seg of segments || []) {
+      if (!groups.has(seg.idx)) groups.set(seg.idx, []);
+      groups.get(seg.idx).push(seg);
+    }
+    return [...groups.entries()].sort((a, b) => a[0] - b[0]);
+  }, [segments]);
+  const exported = useMemo(() => new Set(selectSegmentsForExport(segments || [], review).map((s) => s.key)), [segments, review]);
+
+  return (
+    <div className="mt-8">
+      <div className="mb-2 flex items-center justify-between">
+        <div className="text-sm font-medium text-zinc-300">Review Takes</div>
+        <button onClick={loadSegments} disabled={loading || disabled} className="rounded-lg border border-zinc-700 px-2 py-1 text-xs text-zinc-300 hover:bg-zinc-800 disabled:opacity-50">
+          {loading ? "Loading…" : segments ? "Reload clips" : "Load clips"}
+        </button>
+      </div>
+      {!segments && <div className="text-xs text-zinc-500">Load the clips to listen back, reject bad reads and pick the best take per sentence. Only exported clips (highlighted) go into the dataset.</div>}
+      {segments && !segments.length && <div className="text-xs text-zinc-500">No clips could be cut from the recorded takes.</div>}
+      {segments && segments.length > 0 && (
+        <div className="max-h-[32rem] space-y-2 overflow-auto">
+          {bySentence.map(([idx, segs]) => (
+            <div key={idx} className="rounded-2xl border border-zinc-800 bg-zinc-900 p-3">
+              <div className="mb-2 text-sm text-zinc-300"><span className="mr-2 text-zinc-500">#{idx + 1}</span>{sentences[idx]?.text ?? ""}</div>
+              <div className="space-y-1">
+                {segs.map((seg) => {
+                  const status = review.status?.[seg.key];
+                  const isBest = review.best?.[idx] === seg.key;
+                  return (
+                    <div key={seg.key} className={clsx("flex flex-wrap items-center gap-2 rounded-lg border px-2 py-1 text-xs", exported.has(seg.key) ? "border-zinc-700 bg-zinc-950" : "border-zinc-800 opacity-60")}>
+                      <button onClick={() => togglePlay(seg)} className="inline-flex items-center gap-1 rounded-md border border-zinc-700 px-2 py-0.5 text-zinc-200 hover:bg-zinc-800">
+                        {playingKey === seg.key ? <Square className="h-3 w-3" /> : <Play className="h-3 w-3" />}
+                        {seg.durationSec.toFixed(2)}s
+                      </button>
+                      <span className="text-zinc-500">{new Date(seg.take.startedAt).toLocaleString()} • {seg.take.sessionId}</span>
+                      <span className="ml-auto flex items-center gap-1">
+                        <button disabled={disabled} onClick={() => onSetStatus(seg, status === "accepted" ? null : "accepted")} className={clsx("inline-flex items-center gap-1 rounded-md border px-2 py-0.5 disabled:opacity-50", status === "accepted" ? "border-emerald-600 bg-emerald-600/10 text-emerald-200" : "border-zinc-700 text-zinc-300 hover:bg-zinc-800")}>
+                          <Check className="h-3 w-3" /> Accept
+                        </button>
+                        <button disabled={disabled} onClick={() => onSetStatus(seg, status === "rejected" ? null : "rejected")} className={clsx("inline-flex items-center gap-1 rounded-md border px-2 py-0.5 disabled:opacity-50", status === "rejected" ? "border-red-600 bg-red-600/10 text-red-200" : "border-zinc-700 text-zinc-300 hover:bg-zinc-800")}>
+                          <X className="h-3 w-3" /> Reject
+                        </button>
+                        <button disabled={disabled} onClick={() => onSelectBest(seg)} className={clsx("inline-flex items-center gap-1 rounded-md border px-2 py-0.5 disabled:opacity-50", isBest ? "border-amber-500 bg-amber-500/10 text-amber-200" : "border-zinc-700 text-zinc-300 hover:bg-zinc-800")}>
+                          <Star className="h-3 w-3" /> Use this take
+                        </button>
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Compact numeric input for the settings panel
+function NumberSetting({ label, value, onChange, suffix, min, max, step = 1, disabled }) {
+  return (
+    <label className={clsx("flex items-center justify-between gap-2 text-xs text-zinc-400", disabled && "opacity-50")}>
+      <span>{label}</span>
+      <span className="flex items-center gap-1">
+        <input
+          type="number"
+          value={value}
+          min={min}
+          max={max}
+          step={step}
+          disabled={disabled}
+          onChange={(e) => { const v = Number(e.target.value); if (Number.isFinite(v)) onChange(v); }}
+          className="w-16 rounded-md border border-zinc-800 bg-zinc-900 px-1 py-0.5 text-right text-sm text-zinc-200 outline-none"
+        />
+        {suffix && <span>{suffix}</span>}
+      </span>
+    </label>
+  );
+}
+
+// Live input level (RMS bar with decaying peak hold) and a clip indicator, fed from the mic stream
+function LevelMeter({ stream }) {
+  const [level, setLevel] = React.useState({ rmsDb: -Infinity, peakHoldDb: -Infinity, clipping: false });
+  useEffect(() => {
+    if (!stream) return;
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    const ctx = new Ctx();
+    const src = ctx.createMediaStreamSource(stream);
+    const analyser = ctx.createAnalyser();
+    analyser.fftSize = 2048;
+    src.connect(analyser);
+    const buf = new Float32Array(analyser.fftSize);
+    let raf = 0; let lastPaint = 0; let peakHold = 0; let clipUntil = 0;
+    const tick = (t) => {
+      analyser.getFloatTimeDomainData(buf);
+      let peak = 0; let sumSq = 0;
+      for (let i = 0; i < buf.length; i++) { const a = Math.abs(buf[i]); if (a > peak) peak = a; sumSq += buf[i] * buf[i]; }
+      peakHold = Math.max(peak, peakHold * 0.97);
+      if (peak >= CLIP_LEVEL) clipUntil = t + 1500;
+      if (t - lastPaint > 50) {
+        lastPaint = t;
+        setLevel({ rmsDb: toDb(Math.sqrt(sumSq / buf.length)), peakHoldDb: toDb(peakHold), clipping: t < clipUntil });
+      }
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    // browsers keep new audio contexts suspended until the page gets a gesture
+    const resume = () => { if (ctx.state === "suspended") ctx.resume(); };
+    window.addEventListener("pointerdown", resume);
+    window.addEventListener("keydown", resume);
+    return () => {
+      cancelAnimationFrame(raf);
+      window.removeEventListener("pointerdown", resume);
+      window.removeEventListener("keydown", resume);
+      src.disconnect();
+      ctx.close();
+    };
+  }, [stream]);
+
+  const pct = (db) => Math.max(0, Math.min(100, ((db + 60) / 60) * 100)); // -60..0 dBFS
+  return (
+    <div className="flex items-center gap-2 text-xs text-zinc-400" title="Input level (RMS, peak hold)">
+      <span>Input</span>
+      <div className="relative h-2 w-28 overflow-hidden rounded-full bg-zinc-800">
+        <div className={clsx("h-full", level.rmsDb > -12 ? "bg-amber-400" : "bg-emerald-500")} style={{ width: `${pct(level.rmsDb)}%` }} />
+        <div className="absolute top-0 h-full w-0.5 bg-zinc-200" style={{ left: `${pct(level.peakHoldDb)}%` }} />
+      </div>
+      <span className={clsx("rounded px-1 font-semibold", level.clipping ? "bg-red-600 text-white" : "text-zinc-600")}>CLIP</span>
+    </div>
+  );
+}
+
+// Preview of sentences split from running prose, confirmed before they replace the current script
+function ProsePreview({ source, initialMaxLength, hasScript, onCancel, onConfirm }) {
+  const [markdown, setMarkdown] = React.useState(source.markdown);
+  const [maxLength, setMaxLength] = React.useState(initialMaxLength);
+  const lines = useMemo(() => parseProse(source.txt, { markdown, maxLength }), [source.txt, markdown, maxLength]);
+  const longest = lines.reduce((m, l) => Math.max(m, l.text.length), 0);
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black/60 p-4">
+      <div className="flex max-h-[90vh] w-full max-w-3xl flex-col rounded-2xl border border-zinc-800 bg-zinc-950 p-4 shadow-2xl">
+        <div className="mb-3 flex items-center justify-between">
+          <div className="text-sm font-medium text-zinc-200">Split "{source.name}" into sentences</div>
+          <button onClick={onCancel} className="text-xs text-zinc-400 hover:text-zinc-200">Cancel</button>
+        </div>
+        <div className="mb-3 flex flex-wrap items-center gap-4">
+          <label className="flex items-center gap-2 text-xs text-zinc-400">
+            <input type="checkbox" checked={markdown} onChange={(e) => setMarkdown(e.target.checked)} />
+            Markdown
+          </label>
+          <NumberSetting label="Max sentence length (0 = none)" suffix="chars" value={maxLength} min={0} step={10} onChange={setMaxLength} />
+          <span className="text-xs text-zinc-500">{lines.length} sentences • longest {longest} chars</span>
+        </div>
+        <ol className="min-h-0 flex-1 list-decimal space-y-1 overflow-auto rounded-xl border border-zinc-800 py-2 pl-10 pr-3 text-sm text-zinc-300">
+          {lines.slice(0, 1000).map((l, i) => <li key={i}>{l.text}</li>)}
+          {lines.length > 1000 && <li className="list-none text-xs text-zinc-500">…and {lines.length - 1000} more</li>}
+        </ol>
+        <div className="mt-3 flex items-center justify-end gap-2">
+          {hasScript && <span className="mr-auto text-xs text-zinc-500">This replaces the current script; its recordings stay saved under the old script.</span>}
+          <button onClick={onCancel} className="rounded-lg border border-zinc-700 px-3 py-1.5 text-sm text-zinc-300 hover:bg-zinc-800">Cancel</button>
+          <button
+            onClick={() => onConfirm({ ...source, markdown, maxLength, lines })}
+            disabled={!lines.length}
+            className="rounded-lg border border-indigo-600 bg-indigo-600/10 px-3 py-1.5 text-sm text-indigo-200 hover:bg-indigo-600/20 disabled:opacity-50"
+          >
+            Use {lines.length} sentences
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+// Dataset worker: receives decoded takes one at a time from the app and streams them into the dataset ZIP
+// (see createDatasetBuilder). Messages in: start { options }, take { index, take, pcm, raw? }, finish.
+// Messages out: take_done { index, clips }, packaging, done { blob, report, manifest }, empty, error { message }.
+import { createDatasetBuilder } from "./nb-tts-utils.js";
+
+let builder = null;
+
+self.onmessage = async ({ data }) => {
+  try {
+    if (data.type === "start") {
+      builder = createDatasetBuilder(data.options);
+    } else if (data.type === "take") {
+      const clips = builder.addTake(data.take, data.pcm, data.raw);
+      self.postMessage({ type: "take_done", index: data.index, clips });
+    } else if (data.type === "finish") {
+      self.postMessage({ type: "packaging" });
+      const result = await builder.finish();
+      self.postMessage(result ? { type: "done", ...result } : { type: "empty" });
+    }
+  } catch (err) {
+    self.postMessage({ type: "error", message: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,1133 @@
+// Audio and dataset-export helpers shared by the app (review, tests) and the dataset worker.
+// Nothing in here touches the DOM, React or storage, so it runs on the main thread, in a Worker and under Node alike.
+
+export const DEFAULT_EXPORT_SETTINGS = {
+  refineCuts: true,     // snap cuts to silence and trim leading/trailing silence
+  searchWindowMs: 300,  // how far a cut may move to reach silence
+  leadPadMs: 150,       // silence kept before the first speech in a clip
+  trailPadMs: 200,      // silence kept after the last speech in a clip
+  silenceMarginDb: 12,  // frames quieter than the take's noise floor + margin count as silence
+  // QC thresholds: clips outside them are flagged in metadata.csv / qc_report.json
+  qcMaxClippedSamples: 0,
+  qcMinPeakDbfs: -30,
+  qcMinRmsDbfs: -45,
+  qcMinSnrDb: 20,
+  qcMaxDcOffset: 0.01,
+  qcMinSpeechRatio: 0.3,
+  profile: "default",   // dataset layout, see EXPORT_PROFILES
+  clipNameTemplate: "", // e.g. "{id}" or "{speaker}_{n}"; empty = "{n}_sent{idx}"
+  sampleRate: 48000,    // one of EXPORT_SAMPLE_RATES
+  bitDepth: 16,         // 16 / 24 integer, 32 = float (WAV only)
+  audioFormat: "wav",   // "wav" | "flac"
+  normalizeMode: "off",         // "off" | "peak" | "loudness"
+  normalizeScope: "clip",       // one gain per "clip" or per "session"
+  normalizePeakDbfs: -1,        // peak mode target
+  normalizeLufs: -23,           // loudness mode target (EBU R128)
+  normalizeTruePeakDbtp: -1,    // loudness mode: gain is capped so the true peak stays below this
+  includeRawTakes: false,       // also store the untouched take recordings (takes/ + takes.json) for offline rebuilds
+};
+export const EXPORT_SAMPLE_RATES = [16000, 22050, 24000, 44100, 48000];
+export const EXPORT_BIT_DEPTHS = { 16: "16-bit", 24: "24-bit", 32: "32-bit float" };
+
+// Validated output format from export settings
+export function exportAudioOptions(settings) {
+  return {
+    sampleRate: EXPORT_SAMPLE_RATES.includes(settings.sampleRate) ? settings.sampleRate : DEFAULT_EXPORT_SETTINGS.sampleRate,
+    bitDepth: EXPORT_BIT_DEPTHS[settings.bitDepth] ? settings.bitDepth : DEFAULT_EXPORT_SETTINGS.bitDepth,
+    format: settings.audioFormat === "flac" ? "flac" : "wav",
+  };
+}
+
+export const takeKey = (take) => `${take.sessionId}::${take.startedAt}`;
+
+// --- WAV encoding ---------------------------------------------------------------
+// Float samples to signed integers of the given width (rounded, clamped to full scale)
+export function quantizePcm(float32, bitDepth) {
+  const neg = 2 ** (bitDepth - 1), pos = neg - 1;
+  const out = new Int32Array(float32.length);
+  for (let i = 0; i < float32.length; i++) {
+    const s = Math.max(-1, Math.min(1, float32[i]));
+    out[i] = Math.round(s < 0 ? s * neg : s * pos);
+  }
+  return out;
+}
+
+// 44-byte header of a mono WAV: 16/24-bit integer PCM, or 32-bit IEEE float
+function wavHeader(sampleRate, bitDepth, dataBytes) {
+  const view = new DataView(new ArrayBuffer(44));
+  const writeString = (offset, string) => { for (let i = 0; i < string.length; i++) view.setUint8(offset + i, string.charCodeAt(i)); };
+  const write16 = (o, v) => view.setUint16(o, v, true);
+  const write32 = (o, v) => view.setUint32(o, v, true);
+  const blockAlign = bitDepth / 8;
+  writeString(0, "RIFF");
+  write32(4, 36 + dataBytes);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  write32(16, 16);
+  write16(20, bitDepth === 32 ? 3 : 1);
+  write16(22, 1);
+  write32(24, sampleRate);
+  write32(28, sampleRate * blockAlign);
+  write16(32, blockAlign);
+  write16(34, bitDepth);
+  writeString(36, "data");
+  write32(40, dataBytes);
+  return new Uint8Array(view.buffer);
+}
+
+// Little-endian sample data for a WAV data chunk
+function wavSampleBytes(float32, bitDepth) {
+  const bytesPerSample = bitDepth / 8;
+  const view = new DataView(new ArrayBuffer(float32.length * bytesPerSample));
+  if (bitDepth === 32) {
+    for (let i = 0; i < float32.length; i++) view.setFloat32(i * 4, float32[i], true);
+  } else {
+    const ints = quantizePcm(float32, bitDepth);
+    for (let i = 0, o = 0; i < ints.length; i++, o += bytesPerSample) {
+      if (bytesPerSample === 2) view.setInt16(o, ints[i], true);
+      else { view.setUint8(o, ints[i] & 0xff); view.setUint8(o + 1, (ints[i] >> 8) & 0xff); view.setInt8(o + 2, ints[i] >> 16); }
+    }
+  }
+  return new Uint8Array(view.buffer);
+}
+
+export function arrayBufferToWavBlob(float32, sampleRate, bitDepth = 16) {
+  const data = wavSampleBytes(float32, bitDepth);
+  return new Blob([wavHeader(sampleRate, bitDepth, data.length), data], { type: "audio/wav" });
+}
+
+// Mono PCM of a WAV file (integer 8/16/24/32-bit or 32-bit float; channels are averaged), for decoding without Web Audio
+export function decodeWav(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tag = (at) => String.fromCharCode(bytes[at], bytes[at + 1], bytes[at + 2], bytes[at + 3]);
+  if (tag(0) !== "RIFF" || tag(8) !== "WAVE") throw new Error("Not a WAV file.");
+  let format = null;
+  for (let p = 12; p + 8 <= bytes.length; p += 8 + view.getUint32(p + 4, true) + (view.getUint32(p + 4, true) & 1)) {
+    const size = view.getUint32(p + 4, true);
+    if (tag(p) === "fmt ") {
+      const code = view.getUint16(p + 8, true);
+      format = { float: code === 3 || (code === 0xfffe && view.getUint16(p + 32, true) === 3), channels: view.getUint16(p + 10, true), sampleRate: view.getUint32(p + 12, true), bits: view.getUint16(p + 22, true) };
+    } else if (tag(p) === "data") {
+      if (!format) break;
+      const { channels, bits, float } = format;
+      const width = bits / 8;
+      const frames = Math.floor(Math.min(size, bytes.length - p - 8) / (width * channels));
+      const read = float ? (at) => view.getFloat32(at, true)
+        : bits === 8 ? (at) => (view.getUint8(at) - 128) / 128
+        : bits === 16 ? (at) => view.getInt16(at, true) / 32768
+        : bits === 24 ? (at) => (((view.getUint8(at + 2) << 24) | (view.getUint8(at + 1) << 16) | (view.getUint8(at) << 8)) >> 8) / 8388608
+        : (at) => view.getInt32(at, true) / 2147483648;
+      const pcm = new Float32Array(frames);
+      for (let i = 0, at = p + 8; i < frames; i++) {
+        let sum = 0;
+        for (let ch = 0; ch < channels; ch++, at += width) sum += read(at);
+        pcm[i] = sum / channels;
+      }
+      return { pcm, sampleRate: format.sampleRate };
+    }
+  }
+  throw new Error("The WAV file has no audio data.");
+}
+
+// --- FLAC encoding -------------------------------------------------------------
+// Small in-browser encoder: fixed blocks of 4096 samples, per-block choice of constant / verbatim / fixed predictor
+// (orders 0–4) with a single Rice partition. Compression is a little behind libFLAC at its default level, but the
+// output is standard FLAC any decoder reads. The STREAMINFO MD5 is left zero ("not computed"), which the format allows.
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_RATE_CODES = { 88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6, 24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11 };
+const FLAC_DEPTH_CODES = { 8: 1, 12: 2, 16: 4, 20: 5, 24: 6 };
+
+function createBitWriter(initialBytes = 1 << 14) {
+  let buf = new Uint8Array(initialBytes);
+  let pos = 0, acc = 0, accBits = 0;
+  const push = (byte) => {
+    if (pos === buf.length) { const next = new Uint8Array(buf.length * 2); next.set(buf); buf = next; }
+    buf[pos++] = byte;
+  };
+  // write the low n bits (n <= 36) of a non-negative value, most significant first
+  const write = (value, n) => {
+    while (n > 0) {
+      const take = Math.min(n, 8 - accBits);
+      const chunk = Math.floor(value / 2 ** (n - take)) & ((1 << take) - 1);
+      acc = (acc << take) | chunk; accBits += take; n -= take;
+      if (accBits === 8) { push(acc); acc = 0; accBits = 0; }
+    }
+  };
+  return {
+    write,
+    signed: (value, n) => write(value < 0 ? value + 2 ** n : value, n),
+    unary: (q) => { for (; q > 24; q -= 24) write(0, 24); write(1, q + 1); },
+    align: () => { if (accBits) write(0, 8 - accBits); },
+    bytes: () => buf.subarray(0, pos),
+  };
+}
+
+function crc8(bytes) {
+  let crc = 0;
+  for (const b of bytes) { crc ^= b; for (let k = 0; k < 8; k++) crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff; }
+  return crc;
+}
+function crc16(bytes) {
+  let crc = 0;
+  for (const b of bytes) { crc ^= b << 8; for (let k = 0; k < 8; k++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff; }
+  return crc;
+}
+
+// FLAC's UTF-8-style variable-length integer (frame numbers)
+function flacUtf8(w, v) {
+  if (v < 0x80) { w.write(v, 8); return; }
+  const extra = v < 0x800 ? 1 : v < 0x10000 ? 2 : v < 0x200000 ? 3 : v < 0x4000000 ? 4 : 5;
+  w.write((0xff00 >> (extra + 1)) & 0xff | Math.floor(v / 2 ** (6 * extra)), 8);
+  for (let k = extra - 1; k >= 0; k--) w.write(0x80 | (Math.floor(v / 2 ** (6 * k)) & 0x3f), 8);
+}
+
+// Residuals of the fixed polynomial predictor of the given order (the first `order` samples are warm-up)
+export function fixedResiduals(x, order) {
+  const r = new Array(x.length - order);
+  for (let i = order; i < x.length; i++) {
+    const p = order === 0 ? 0 : order === 1 ? x[i - 1] : order === 2 ? 2 * x[i - 1] - x[i - 2]
+      : order === 3 ? 3 * x[i - 1] - 3 * x[i - 2] + x[i - 3] : 4 * x[i - 1] - 6 * x[i - 2] + 4 * x[i - 3] - x[i - 4];
+    r[i - order] = x[i] - p;
+  }
+  return r;
+}
+
+// Cheapest Rice parameter for a residual block and its cost in bits
+function riceParameter(residuals) {
+  const u = residuals.map((v) => (v >= 0 ? 2 * v : -2 * v - 1));
+  let best = { k: 0, bits: Infinity };
+  for (let k = 0; k <= 14; k++) {
+    let bits = u.length * (k + 1);
+    for (let i = 0; i < u.length && bits < best.bits; i++) bits += Math.floor(u[i] / 2 ** k);
+    if (bits < best.bits) best = { k, bits };
+  }
+  return { ...best, u };
+}
+
+function writeSubframe(w, x, bitDepth) {
+  if (x.every((v) => v === x[0])) { w.write(0, 8); w.signed(x[0], bitDepth); return; } // CONSTANT
+  let best = null;
+  for (let order = 0; order <= Math.min(4, x.length - 1); order++) {
+    const rice = riceParameter(fixedResiduals(x, order));
+    const bits = order * bitDepth + 6 + 4 + rice.bits;
+    if (!best || bits < best.bits) best = { order, bits, rice };
+  }
+  if (best.bits >= x.length * bitDepth) { w.write(0b00000010, 8); for (const v of x) w.signed(v, bitDepth); return; } // VERBATIM
+  w.write((0b001000 | best.order) << 1, 8); // FIXED, no wasted bits
+  for (let i = 0; i < best.order; i++) w.signed(x[i], bitDepth);
+  w.write(0, 2); // Rice coding with 4-bit parameters
+  w.write(0, 4); // partition order 0
+  const { k, u } = best.rice;
+  w.write(k, 4);
+  for (const v of u) { w.unary(Math.floor(v / 2 ** k)); if (k) w.write(v & ((1 << k) - 1), k); }
+}
+
+// Incremental mono FLAC encoder (bitDepth 16 or 24): push() returns the frames completed so far, end() flushes the
+// last partial block and returns the STREAMINFO header, which needs the total sample count and goes first in the file
+function createFlacEncoder(sampleRate, bitDepth) {
+  let pending = new Int32Array(0);
+  let frame = 0;
+  let total = 0;
+  const encodeFrame = (block) => {
+    const w = createBitWriter();
+    w.write(0b11111111111110, 14); w.write(0, 1); w.write(0, 1); // sync, reserved, fixed blocksize
+    const full = block.length === FLAC_BLOCK_SIZE;
+    w.write(full ? 12 : 7, 4); // 4096, or 16-bit size at end of header
+    w.write(FLAC_RATE_CODES[sampleRate] ?? 0, 4); // 0 = see STREAMINFO
+    w.write(0, 4); // mono
+    w.write(FLAC_DEPTH_CODES[bitDepth], 3); w.write(0, 1);
+    flacUtf8(w, frame++);
+    if (!full) w.write(block.length - 1, 16);
+    w.write(crc8(w.bytes()), 8);
+    writeSubframe(w, Array.from(block), bitDepth);
+    w.align();
+    w.write(crc16(w.bytes()), 16);
+    return w.bytes().slice();
+  };
+  return {
+    push(float32) {
+      const ints = new Int32Array(pending.length + float32.length);
+      ints.set(pending);
+      ints.set(quantizePcm(float32, bitDepth), pending.length);
+      total += float32.length;
+      const frames = [];
+      let start = 0;
+      for (; start + FLAC_BLOCK_SIZE <= ints.length; start += FLAC_BLOCK_SIZE) frames.push(encodeFrame(ints.subarray(start, start + FLAC_BLOCK_SIZE)));
+      pending = ints.slice(start);
+      return frames;
+    },
+    end() {
+      const frames = pending.length ? [encodeFrame(pending)] : [];
+      pending = new Int32Array(0);
+      const head = createBitWriter(64);
+      head.write(0x664c6143, 32); // "fLaC"
+      head.write(1, 1); head.write(0, 7); head.write(34, 24); // last metadata block: STREAMINFO
+      head.write(Math.min(FLAC_BLOCK_SIZE, Math.max(16, total)), 16);
+      head.write(FLAC_BLOCK_SIZE, 16);
+      head.write(0, 24); head.write(0, 24); // frame sizes unknown
+      head.write(sampleRate, 20);
+      head.write(0, 3); // mono
+      head.write(bitDepth - 1, 5);
+      head.write(total, 36);
+      for (let i = 0; i < 4; i++) head.write(0, 32); // MD5 not computed
+      return { header: head.bytes().slice(), frames };
+    },
+  };
+}
+
+// Mono FLAC from float samples; bitDepth 16 or 24
+export function encodeFlac(float32, sampleRate, bitDepth = 16) {
+  const encoder = createFlacEncoder(sampleRate, bitDepth);
+  const frames = encoder.push(float32);
+  const { header, frames: last } = encoder.end();
+  return new Blob([header, ...frames, ...last], { type: "audio/flac" });
+}
+
+// Incremental encoder in the configured export format, for outputs too long to hold as one buffer (the master
+// recording). push() returns body bytes as they become final; end() returns the header and any remaining body bytes.
+// FLAC has no float samples, so 32-bit float falls back to 24-bit there.
+export function createAudioStream({ sampleRate, bitDepth, format }) {
+  if (format === "flac") {
+    const depth = Math.min(bitDepth, 24);
+    const encoder = createFlacEncoder(sampleRate, depth);
+    return { ext: "flac", bitDepth: depth, push: encoder.push, end: encoder.end };
+  }
+  let dataBytes = 0;
+  return {
+    ext: "wav",
+    bitDepth,
+    push: (float32) => { const bytes = wavSampleBytes(float32, bitDepth); dataBytes += bytes.length; return [bytes]; },
+    end: () => ({ header: wavHeader(sampleRate, bitDepth, dataBytes), frames: [] }),
+  };
+}
+
+// One complete file in the export format, as byte chunks in file order
+export function encodeAudio(float32, options) {
+  const stream = createAudioStream(options);
+  const body = stream.push(float32);
+  const { header, frames } = stream.end();
+  return { parts: [header, ...body, ...frames], ext: stream.ext, bitDepth: stream.bitDepth };
+}
+
+// --- Segmentation ----------------------------------------------------------------
+export function concatFloat32(arrays) {
+  const total = arrays.reduce((acc, a) => acc + a.length, 0);
+  const out = new Float32Array(total);
+  let offset = 0;
+  for (const arr of arrays) { out.set(arr, offset); offset += arr.length; }
+  return out;
+}
+
+// Log actions that move the prompter, and so end one segment and start the next
+export const NAV_ACTIONS = ['nav_next', 'nav_prev', 'jump'];
+
+// Segment a single take into per-sentence clips based on navigation events in the log
+export function segmentTakeByLog({ take, pcm, sampleRate, allLogs, sentencesLen }) {
+  const startMs = new Date(take.startedAt).getTime();
+  const endMs = new Date(take.endedAt).getTime();
+  const durMs = Math.max(1, endMs - startMs);
+  const totalSamples = pcm.length;
+
+  // events within take window
+  const windowEvents = allLogs
+    .filter(e => e.sessionId === take.sessionId && e.ts)
+    .map(e => ({ ...e, t: new Date(e.ts).getTime() }))
+    .filter(e => e.t >= startMs && e.t <= endMs)
+    .sort((a,b) => a.t - b.t);
+
+  // find initial index at record_start (or fall back to take.idx)
+  let curIdx = take.idx ?? 0;
+  const startEvt = windowEvents.find(e => e.action === 'record_start');
+  if (startEvt && Number.isFinite(startEvt.index)) curIdx = startEvt.index;
+
+  // Build boundaries: [ {tMs, sample?, idxAfter} ... ]
+  // Navigation events that log their target (`to`) are taken as absolute; older nav_next/nav_prev entries without it
+  // are replayed as +1/-1, and a jump without a target is ignored.
+  const clampIdx = (i) => Math.max(0, Math.min(sentencesLen - 1, i));
+  const boundaries = [{ tMs: startMs, sample: 0, idx: clampIdx(curIdx) }];
+  for (const e of windowEvents) {
+    if (!NAV_ACTIONS.includes(e.action)) continue;
+    if (Number.isFinite(e.to)) curIdx = clampIdx(e.to);
+    else if (e.action === 'nav_next') curIdx = clampIdx(curIdx + 1);
+    else if (e.action === 'nav_prev') curIdx = clampIdx(curIdx - 1);
+    else continue;
+    boundaries.push({ tMs: e.t, sample: e.sample, idx: curIdx });
+  }
+  boundaries.push({ tMs: endMs, sample: take.samples, idx: curIdx });
+
+  // Prefer the sample positions stamped by the capture worklet (scaled to the decoded rate);
+  // takes recorded with MediaRecorder fall back to mapping wall-clock time proportionally onto the take
+  const sampleAccurate = take.sampleRate > 0 && boundaries.every((b) => Number.isFinite(b.sample));
+  const scale = sampleAccurate ? sampleRate / take.sampleRate : 1;
+  const tToSample = (tMs) => Math.round(((tMs - startMs) / durMs) * totalSamples);
+  const toSample = (b) => (sampleAccurate ? Math.round(b.sample * scale) : tToSample(b.tMs));
+  const segments = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const a = boundaries[i];
+    const b = boundaries[i + 1];
+    const s0 = Math.max(0, Math.min(totalSamples, toSample(a)));
+    const s1 = Math.max(0, Math.min(totalSamples, toSample(b)));
+    const len = s1 - s0;
+    if (len <= 0) continue;
+    segments.push({ sampleStart: s0, sampleEnd: s1, idx: a.idx, durationSec: len / sampleRate });
+  }
+  return segments;
+}
+
+// Segments are identified by their take and their position within it, which stays stable across re-segmentation
+const segmentKey = (take, n) => `${takeKey(take)}#${n}`;
+export function segmentTakeWithKeys(args) { return segmentTakeByLog(args).map((s, n) => ({ ...s, key: segmentKey(args.take, n) })); }
+
+// Segments of a take from the log alone, without decoding its audio: sample-stamped takes are measured in their own
+// samples, others in milliseconds of wall-clock time. Keys and durations match segmentTakeWithKeys.
+export function takeSegmentsFromLog({ take, allLogs, sentencesLen }) {
+  const stamped = take.sampleRate > 0 && Number.isFinite(take.samples);
+  const length = stamped ? take.samples : Math.max(1, new Date(take.endedAt).getTime() - new Date(take.startedAt).getTime());
+  return segmentTakeWithKeys({ take, pcm: { length }, sampleRate: stamped ? take.sampleRate : 1000, allLogs, sentencesLen });
+}
+
+// --- Silence-aware cut refinement -------------------------------------------
+const ENERGY_FRAME_MS = 10;
+
+// Per-frame RMS level in dBFS
+export function frameLevelsDb(pcm, frameLen) {
+  const n = Math.ceil(pcm.length / frameLen);
+  const out = new Float32Array(n);
+  for (let f = 0; f < n; f++) {
+    const end = Math.min(pcm.length, (f + 1) * frameLen);
+    let sum = 0;
+    for (let i = f * frameLen; i < end; i++) sum += pcm[i] * pcm[i];
+    out[f] = 10 * Math.log10(sum / Math.max(1, end - f * frameLen) + 1e-20);
+  }
+  return out;
+}
+
+// Noise floor (10th percentile of frame levels) plus a margin, never above -25 dBFS so quiet readers still have speech
+export function silenceThresholdDb(levels, marginDb) {
+  if (!levels.length) return -Infinity;
+  const sorted = Array.from(levels).sort((a, b) => a - b);
+  return Math.min(sorted[Math.floor(sorted.length * 0.1)] + marginDb, -25);
+}
+
+// Post-pass over segmentTakeByLog output: move each cut between adjacent segments to the middle of the nearest silence
+// within the search window, then trim each clip to its speech plus padding (never crossing its refined cut points).
+// The keypress positions are kept as cutStart/cutEnd so exports can show what moved.
+export function refineSegments(segments, { pcm, sampleRate, settings }) {
+  const withCuts = segments.map((s) => ({ ...s, cutStart: s.sampleStart, cutEnd: s.sampleEnd }));
+  if (!settings?.refineCuts || !withCuts.length) return withCuts;
+  const frameLen = Math.max(1, Math.round((sampleRate * ENERGY_FRAME_MS) / 1000));
+  const levels = frameLevelsDb(pcm, frameLen);
+  const threshold = silenceThresholdDb(levels, settings.silenceMarginDb ?? DEFAULT_EXPORT_SETTINGS.silenceMarginDb);
+  const silent = (f) => levels[f] < threshold;
+  const windowFrames = Math.round((settings.searchWindowMs ?? 0) / ENERGY_FRAME_MS);
+
+  const snap = (sample) => {
+    const center = Math.min(levels.length - 1, Math.floor(sample / frameLen));
+    for (let d = 0; d <= windowFrames; d++) {
+      for (const f of [center - d, center + d]) {
+        if (f < 0 || f >= levels.length || !silent(f)) continue;
+        let a = f; let b = f;
+        while (a > 0 && silent(a - 1)) a--;
+        while (b < levels.length - 1 && silent(b + 1)) b++;
+        const mid = Math.round(((a + b + 1) * frameLen) / 2);
+        return Math.max(sample - windowFrames * frameLen, Math.min(sample + windowFrames * frameLen, mid));
+      }
+    }
+    return sample;
+  };
+  for (let i = 0; i < withCuts.length - 1; i++) {
+    if (withCuts[i].sampleEnd !== withCuts[i + 1].sampleStart) continue;
+    const cut = Math.max(withCuts[i].sampleStart, Math.min(withCuts[i + 1].sampleEnd, snap(withCuts[i].sampleEnd)));
+    withCuts[i].sampleEnd = cut;
+    withCuts[i + 1].sampleStart = cut;
+  }
+
+  const lead = Math.round((sampleRate * (settings.leadPadMs ?? 0)) / 1000);
+  const trail = Math.round((sampleRate * (settings.trailPadMs ?? 0)) / 1000);
+  return withCuts.map((s) => {
+    let first = -1; let last = -1;
+    for (let f = Math.floor(s.sampleStart / frameLen); f * frameLen < s.sampleEnd && f < levels.length; f++) {
+      if (silent(f)) continue;
+      if (first < 0) first = f;
+      last = f;
+    }
+    if (first < 0) return { ...s, durationSec: (s.sampleEnd - s.sampleStart) / sampleRate }; // all silence: leave it for review/QC
+    const sampleStart = Math.max(s.sampleStart, first * frameLen - lead);
+    const sampleEnd = Math.min(s.sampleEnd, (last + 1) * frameLen + trail);
+    return { ...s, sampleStart, sampleEnd, durationSec: (sampleEnd - sampleStart) / sampleRate };
+  }).filter((s) => s.sampleEnd > s.sampleStart);
+}
+
+// --- Audio QC ------------------------------------------------------------------
+export const CLIP_LEVEL = 0.999;
+export const toDb = (x) => 20 * Math.log10(Math.max(x, 1e-10));
+
+// Level, clipping, noise and speech measurements of one clip. SNR is estimated from the frame level distribution
+// (95th percentile ≈ speech, 10th percentile ≈ noise), which holds as long as the clip contains some pause.
+export function analyzeClip(pcm, sampleRate, silenceMarginDb = DEFAULT_EXPORT_SETTINGS.silenceMarginDb) {
+  let peak = 0; let sumSq = 0; let sum = 0; let clipped = 0;
+  for (let i = 0; i < pcm.length; i++) {
+    const v = pcm[i];
+    const a = Math.abs(v);
+    if (a > peak) peak = a;
+    if (a >= CLIP_LEVEL) clipped++;
+    sumSq += v * v;
+    sum += v;
+  }
+  const n = Math.max(1, pcm.length);
+  const levels = frameLevelsDb(pcm, Math.max(1, Math.round((sampleRate * ENERGY_FRAME_MS) / 1000)));
+  const sorted = Array.from(levels).sort((a, b) => a - b);
+  const pct = (p) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : -200);
+  const threshold = silenceThresholdDb(levels, silenceMarginDb);
+  const speechFrames = levels.filter((l) => l >= threshold).length;
+  return {
+    peakDbfs: toDb(peak),
+    rmsDbfs: toDb(Math.sqrt(sumSq / n)),
+    clippedSamples: clipped,
+    snrDb: Math.max(0, pct(0.95) - Math.max(pct(0.1), -120)),
+    dcOffset: sum / n,
+    speechRatio: levels.length ? speechFrames / levels.length : 0,
+  };
+}
+
+// Names of the QC checks a clip fails under the given thresholds
+export function qcFlags(metrics, settings) {
+  const flags = [];
+  if (metrics.clippedSamples > settings.qcMaxClippedSamples) flags.push("clipping");
+  if (metrics.peakDbfs < settings.qcMinPeakDbfs) flags.push("low_peak");
+  if (metrics.rmsDbfs < settings.qcMinRmsDbfs) flags.push("near_silent");
+  if (metrics.snrDb < settings.qcMinSnrDb) flags.push("low_snr");
+  if (Math.abs(metrics.dcOffset) > settings.qcMaxDcOffset) flags.push("dc_offset");
+  if (metrics.speechRatio < settings.qcMinSpeechRatio) flags.push("little_speech");
+  return flags;
+}
+
+// --- Loudness normalization ----------------------------------------------------
+// ITU-R BS.1770 / EBU R128: K-weighted mean square over 400 ms blocks (75% overlap), absolute gate at -70 LUFS,
+// relative gate 10 LU below the ungated level. Filter coefficients are derived for any sample rate (same as libebur128).
+const LOUDNESS_ABS_GATE = -70;
+
+function kWeightingFilters(sampleRate) {
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = 10 ** (3.999843853973347 / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let a0 = 1 + K / Q + K * K;
+  const shelf = { b: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0], a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0] };
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highpass = { b: [1, -2, 1], a: [(2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0] };
+  return [shelf, highpass];
+}
+
+function biquad(x, { b, a }) {
+  const y = new Float64Array(x.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < x.length; i++) {
+    const v = b[0] * x[i] + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1; x1 = x[i]; y2 = y1; y1 = v; y[i] = v;
+  }
+  return y;
+}
+
+// Integrated loudness of a mono clip in LUFS (-Infinity for silence); clips shorter than one block are measured as one block
+export function integratedLoudness(pcm, sampleRate) {
+  const [shelf, highpass] = kWeightingFilters(sampleRate);
+  const k = biquad(biquad(pcm, shelf), highpass);
+  const blockLen = Math.round(sampleRate * 0.4);
+  const hop = Math.round(sampleRate * 0.1);
+  const powers = [];
+  for (let start = 0; start === 0 || start + blockLen <= k.length; start += hop) {
+    const end = Math.min(k.length, start + blockLen);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += k[i] * k[i];
+    powers.push(sum / Math.max(1, end - start));
+  }
+  const lufs = (p) => -0.691 + 10 * Math.log10(p);
+  const gated = (list, gate) => list.filter((p) => lufs(p) > gate);
+  const mean = (list) => list.reduce((a, b) => a + b, 0) / list.length;
+  const absGated = gated(powers, LOUDNESS_ABS_GATE);
+  if (!absGated.length) return -Infinity;
+  const relGated = gated(absGated, lufs(mean(absGated)) - 10);
+  return relGated.length ? lufs(mean(relGated)) : -Infinity;
+}
+
+// True peak (dBTP) by 4x oversampling with a Hann-windowed sinc interpolator
+const TRUE_PEAK_PHASES = [0.25, 0.5, 0.75].map((frac) => {
+  const taps = [];
+  for (let k = -5; k <= 6; k++) {
+    const d = k - frac;
+    taps.push({ k, w: (Math.sin(Math.PI * d) / (Math.PI * d)) * (0.5 + 0.5 * Math.cos((Math.PI * d) / 6.5)) });
+  }
+  return taps;
+});
+export function truePeakDbtp(pcm) {
+  let peak = 0;
+  for (let n = 0; n < pcm.length; n++) {
+    peak = Math.max(peak, Math.abs(pcm[n]));
+    for (const taps of TRUE_PEAK_PHASES) {
+      let v = 0;
+      for (const { k, w } of taps) { const i = n + k; if (i >= 0 && i < pcm.length) v += pcm[i] * w; }
+      peak = Math.max(peak, Math.abs(v));
+    }
+  }
+  return toDb(peak);
+}
+
+// Gain (dB) that brings measured levels to the configured target; 0 when off or nothing measurable
+export function normalizationGainDb({ peakDbfs, lufs, truePeak }, settings) {
+  let gain = 0;
+  if (settings.normalizeMode === "peak") gain = settings.normalizePeakDbfs - peakDbfs;
+  else if (settings.normalizeMode === "loudness") gain = Math.min(settings.normalizeLufs - lufs, settings.normalizeTruePeakDbtp - truePeak);
+  return Number.isFinite(gain) && peakDbfs > -120 ? gain : 0;
+}
+
+function applyGain(pcm, gainDb) {
+  if (!gainDb) return pcm;
+  const g = 10 ** (gainDb / 20);
+  const out = new Float32Array(pcm.length);
+  for (let i = 0; i < pcm.length; i++) out[i] = pcm[i] * g;
+  return out;
+}
+
+// Normalize export segments per clip or per session (one gain for all clips of a session, measured on their concatenation).
+// Every segment gets lufsBefore / lufsAfter / gainDb / truePeakDbtp; with normalization off the gain is 0 and the
+// loudness and true peak, the costliest measurements of an export, are left out (null).
+export function normalizeSegments(segments, sampleRate, settings) {
+  if (settings.normalizeMode !== "peak" && settings.normalizeMode !== "loudness") {
+    return segments.map((seg) => ({ ...seg, gainDb: 0, lufsBefore: null, lufsAfter: null, truePeakDbtp: null }));
+  }
+  const groups = new Map();
+  segments.forEach((seg, i) => {
+    const key = settings.normalizeScope === "session" ? seg.sessionId : i;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(seg);
+  });
+  const gains = new Map();
+  for (const group of groups.values()) {
+    const pcm = group.length === 1 ? group[0].pcm : concatFloat32(group.map((s) => s.pcm));
+    let peak = 0;
+    for (let i = 0; i < pcm.length; i++) peak = Math.max(peak, Math.abs(pcm[i]));
+    const measured = { peakDbfs: toDb(peak), lufs: settings.normalizeMode === "loudness" ? integratedLoudness(pcm, sampleRate) : 0, truePeak: settings.normalizeMode === "loudness" ? truePeakDbtp(pcm) : 0 };
+    const gainDb = normalizationGainDb(measured, settings);
+    for (const seg of group) gains.set(seg, gainDb);
+  }
+  return segments.map((seg) => {
+    const gainDb = gains.get(seg) ?? 0;
+    const pcm = applyGain(seg.pcm, gainDb);
+    const lufsBefore = integratedLoudness(seg.pcm, sampleRate);
+    return { ...seg, pcm, gainDb, lufsBefore, lufsAfter: lufsBefore + gainDb, truePeakDbtp: truePeakDbtp(pcm) };
+  });
+}
+
+// --- Export profiles -------------------------------------------------------------
+// Every profile is written from the same clip records; they differ in where clips go and which index files describe them.
+// The full metadata (QC, offsets, passthrough fields) is always included: as metadata.csv in the default layout,
+// as metadata_full.csv where the profile owns the metadata name.
+export const EXPORT_PROFILES = {
+  default: { label: "Default (audio/clips + metadata.csv)", fullMetadata: "metadata.csv" },
+  ljspeech: { label: "LJSpeech (wavs/ + metadata.csv)", fullMetadata: "metadata_full.csv" },
+  audiofolder: { label: "Hugging Face audiofolder (metadata.jsonl)", fullMetadata: "metadata_full.csv" },
+  kaldi: { label: "Kaldi (wav.scp, text, utt2spk, segments)", fullMetadata: "metadata_full.csv" },
+  vctk: { label: "VCTK (per-speaker wav<kHz>/ + txt/)", fullMetadata: "metadata_full.csv" },
+};
+export const masterPath = (ext = "wav") => `audio/all_sessions.${ext}`;
+const pad4 = (n) => String(n).padStart(4, "0");
+
+// Clip file name (without extension) from a template with {n}, {idx}, {id}, {speaker}, {session};
+// {id} falls back to the sentence number when the script has no ID
+export function clipBaseName(template, { n, idx, id, speaker, session }) {
+  if (!template) return `${pad4(n)}_sent${pad4(idx + 1)}`;
+  const values = { n: pad4(n), idx: pad4(idx + 1), id: id == null || id === "" ? pad4(idx + 1) : String(id), speaker, session };
+  const name = template.replace(/\{(n|idx|id|speaker|session)\}/g, (_, k) => values[k]).replace(/[^\p{L}\p{N}._-]+/gu, "_");
+  return name || `${pad4(n)}_sent${pad4(idx + 1)}`;
+}
+
+// Reserve a name, suffixing _2, _3… when a template yields duplicates (e.g. several takes of one ID)
+export function uniqueName(name, used) {
+  let out = name;
+  for (let k = 2; used.has(out); k++) out = `${name}_${k}`;
+  used.add(out);
+  return out;
+}
+
+// Where a profile puts a clip's audio; null when the profile addresses clips inside the master recording (Kaldi).
+// VCTK names its audio folder after the sample rate (wav48/, wav22/…), so it follows the export rate
+export function profileClipPath(profile, { speaker, name, ext = "wav", sampleRate = 48000 }) {
+  switch (profile) {
+    case "ljspeech": return `wavs/${name}.${ext}`;
+    case "audiofolder": return `audio/${name}.${ext}`;
+    case "kaldi": return null;
+    case "vctk": return `wav${Math.round(sampleRate / 1000)}/${speaker}/${speaker}_${name}.${ext}`;
+    default: return `audio/clips/${name}.${ext}`;
+  }
+}
+
+const oneLine = (t) => String(t ?? "").replace(/\s+/g, " ").trim();
+
+// Profile-specific index files as { path: contents }, from records { name, file, text, normalized, id, idx, sessionId, startSec, endSec,
+// masterStartSec, masterEndSec, durationSec, meta }; start/end are on the export timeline, master* inside this archive's master.
+// normalized is the spoken form when text normalization is on; LJSpeech's third column and Kaldi's transcripts use it.
+export function profileIndexFiles(profile, records, { speaker, ext = "wav" }) {
+  switch (profile) {
+    case "ljspeech":
+      return { "metadata.csv": records.map((r) => [r.name, oneLine(r.text).replace(/\|/g, "/"), oneLine(r.normalized || r.text).replace(/\|/g, "/")].join("|")).join("\n") };
+    case "audiofolder":
+      return { "metadata.jsonl": records.map((r) => JSON.stringify({ file_name: r.file, text: r.text, normalized_text: r.normalized || null, speaker_id: speaker, sentence_index: r.idx, sentence_id: r.id ?? null, session_id: r.sessionId, duration_sec: Number(r.durationSec.toFixed(3)), ...(r.meta || {}) })).join("\n") };
+    case "kaldi": {
+      // utterance ids are speaker-prefixed so the files sort consistently; all utterances are segments of the master recording
+      const recId = `${speaker}-all_sessions`;
+      const utts = records.map((r) => ({ ...r, utt: `${speaker}-${r.name}` })).sort((a, b) => (a.utt < b.utt ? -1 : a.utt > b.utt ? 1 : 0));
+      return {
+        "data/wav.scp": ext === "flac" ? `${recId} flac -c -d -s ${masterPath(ext)} |` : `${recId} ${masterPath(ext)}`,
+        "data/text": utts.map((u) => `${u.utt} ${oneLine(u.normalized || u.text)}`).join("\n"),
+        "data/utt2spk": utts.map((u) => `${u.utt} ${speaker}`).join("\n"),
+        "data/spk2utt": `${speaker} ${utts.map((u) => u.utt).join(" ")}`,
+        "data/segments": utts.map((u) => `${u.utt} ${recId} ${u.masterStartSec.toFixed(3)} ${u.masterEndSec.toFixed(3)}`).join("\n"),
+      };
+    }
+    case "vctk":
+      return Object.fromEntries(records.map((r) => [`txt/${speaker}/${speaker}_${r.name}.txt`, oneLine(r.text)]));
+    default:
+      return {};
+  }
+}
+
+// Segment a decoded take and refine its cut points; the shared path for review and export
+export function cutTake({ settings, ...args }) {
+  return refineSegments(segmentTakeWithKeys(args), { pcm: args.pcm, sampleRate: args.sampleRate, settings });
+}
+
+// Apply review decisions: rejected segments are dropped; a sentence with a selected best take exports only that one,
+// otherwise only its accepted segments if it has any, otherwise every (unreviewed) segment.
+export function selectSegmentsForExport(segments, review = {}) {
+  const status = review.status || {};
+  const best = review.best || {};
+  const present = new Set(segments.map((s) => s.key));
+  const hasAccepted = new Set(segments.filter((s) => status[s.key] === "accepted").map((s) => s.idx));
+  return segments.filter((s) => {
+    if (status[s.key] === "rejected") return false;
+    if (best[s.idx] && present.has(best[s.idx])) return s.key === best[s.idx];
+    if (hasAccepted.has(s.idx)) return status[s.key] === "accepted";
+    return true;
+  });
+}
+
+// --- Streaming ZIP writer --------------------------------------------------------
+// Entries are stored uncompressed (audio barely deflates) and handed over as Blobs as soon as they are added, so the
+// archive never has to exist as one big buffer. There is no ZIP64: an archive stops at 4 GiB or 65535 files.
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+// a * b modulo the CRC-32 polynomial (reflected), as in zlib's crc32_combine
+function crcMultModP(a, b) {
+  let m = 1 << 31, p = 0;
+  for (;;) {
+    if (a & m) { p ^= b; if ((a & (m - 1)) === 0) break; }
+    m >>>= 1;
+    b = b & 1 ? (b >>> 1) ^ 0xedb88320 : b >>> 1;
+  }
+  return p >>> 0;
+}
+const CRC_X2N = (() => { const t = [1 << 30]; for (let k = 1; k < 32; k++) t.push(crcMultModP(t[k - 1], t[k - 1])); return t; })();
+
+// CRC of A followed by B from crc(A), crc(B) and B's length: lets an entry be prefixed with a header computed last
+export function crc32Combine(crcA, crcB, lengthB) {
+  let p = 1 << 31;
+  for (let n = lengthB, k = 3; n; n = Math.floor(n / 2), k++) if (n % 2) p = crcMultModP(CRC_X2N[k & 31], p);
+  return (crcMultModP(p, crcA) ^ crcB) >>> 0;
+}
+
+export function createZipWriter() {
+  const parts = [];
+  const entries = [];
+  let offset = 0;
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  // chunks: Uint8Arrays / Blobs in file order, whose total size and CRC the caller already knows
+  const addParts = (path, chunks, { size, crc }) => {
+    const name = encoder.encode(path);
+    if (entries.length >= 0xffff || offset + 30 + name.length + size > 0xffffffff) {
+      throw new Error("The dataset is too large for a ZIP archive (4 GiB / 65535 files). Export fewer clips, a lower sample rate or FLAC.");
+    }
+    const h = new DataView(new ArrayBuffer(30));
+    h.setUint32(0, 0x04034b50, true);
+    h.setUint16(4, 20, true);
+    h.setUint16(6, 0x0800, true); // UTF-8 names
+    h.setUint16(8, 0, true); // stored
+    h.setUint16(10, dosTime, true);
+    h.setUint16(12, dosDate, true);
+    h.setUint32(14, crc, true);
+    h.setUint32(18, size, true);
+    h.setUint32(22, size, true);
+    h.setUint16(26, name.length, true);
+    h.setUint16(28, 0, true);
+    parts.push(new Blob([h, name, ...chunks]));
+    entries.push({ name, crc, size, offset });
+    offset += 30 + name.length + size;
+  };
+
+  const add = (path, data) => {
+    const chunks = typeof data === "string" ? [encoder.encode(data)] : Array.isArray(data) ? data : [data];
+    let crc = 0, size = 0;
+    for (const c of chunks) { crc = crc32(c, crc); size += c.length; }
+    addParts(path, chunks, { size, crc });
+  };
+
+  const finish = () => {
+    const central = [];
+    let centralSize = 0;
+    for (const e of entries) {
+      const h = new DataView(new ArrayBuffer(46));
+      h.setUint32(0, 0x02014b50, true);
+      h.setUint16(4, 20, true);
+      h.setUint16(6, 20, true);
+      h.setUint16(8, 0x0800, true);
+      h.setUint16(10, 0, true);
+      h.setUint16(12, dosTime, true);
+      h.setUint16(14, dosDate, true);
+      h.setUint32(16, e.crc, true);
+      h.setUint32(20, e.size, true);
+      h.setUint32(24, e.size, true);
+      h.setUint16(28, e.name.length, true);
+      h.setUint32(42, e.offset, true); // extra/comment lengths, disk, attributes stay 0
+      central.push(h, e.name);
+      centralSize += 46 + e.name.length;
+    }
+    if (offset + centralSize > 0xffffffff) throw new Error("The dataset is too large for a ZIP archive (4 GiB / 65535 files). Export fewer clips, a lower sample rate or FLAC.");
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type: "application/zip" });
+  };
+
+  return { add, addParts, finish, get size() { return offset; } };
+}
+
+// --- Raw takes -------------------------------------------------------------------
+// With includeRawTakes the archive also holds every take exactly as it was recorded (takes/), described by takes.json,
+// so the dataset can be cut again later (see scripts/rebuild-dataset.js) or restored without loss.
+const RAW_TAKE_EXTENSIONS = { "audio/wav": "wav", "audio/webm": "webm", "audio/mp4": "m4a", "audio/ogg": "ogg" };
+export function rawTakePath(take, mimeType) {
+  const ext = RAW_TAKE_EXTENSIONS[String(mimeType).split(";")[0]] ?? "bin";
+  return `takes/${`${take.sessionId}_${take.startedAt}`.replace(/[^\p{L}\p{N}._-]+/gu, "-")}.${ext}`;
+}
+// takes.json entry for a take, and the take it describes
+export const rawTakeEntry = (take, file, mimeType) => ({ file, key: takeKey(take), session_id: take.sessionId, started_at: take.startedAt, ended_at: take.endedAt, sentence_index: take.idx ?? null, mime_type: mimeType || null, sample_rate: take.sampleRate ?? null, samples: take.samples ?? null });
+export function takeFromRawEntry(e) {
+  return { idx: e.sentence_index ?? 0, startedAt: e.started_at, endedAt: e.ended_at, sessionId: e.session_id, ...(e.sample_rate > 0 && Number.isFinite(e.samples) ? { sampleRate: e.sample_rate, samples: e.samples } : {}) };
+}
+
+// --- Dataset assembly ------------------------------------------------------------
+// Builds the dataset ZIP one take at a time: a take's clips are cut, measured, normalized, encoded and written into
+// the archive right away, and appended to the streamed master recording. Only the current take's PCM is held, or the
+// current session's clips when one normalization gain is shared per session.
+// A delta export passes continueFrom (the previous export's id, generatedAt and continuation) so clip numbers, names and
+// the offset_start_sec timeline carry on from it; its own master recording still starts at 0.
+// sentences are as read (edited text, optional normalized form); clips of sentences marked skipped are left out and the
+// sentences listed in skipped.csv. speakerProfile ({ fields, profile, consent }, optional) is the Code's speaker
+// profile, written as speaker.json and speakers.csv. project (optional) is written as project.json: the script as loaded,
+// its parse options, edits and review, which is what re-importing the ZIP needs besides the log and the audio; the
+// sentences as read are added to it as prompts, so an offline rebuild needs nothing from the app. assignment (optional)
+// is the coordinator assignment the script was loaded from, recorded in the manifest so the parts can be merged again.
+export function createDatasetBuilder({ settings, sentences, log, review, userCode, projectName, scriptId, sessions, exportId, continueFrom = null, speakerProfile = null, project = null, assignment = null }) {
+  const audioOptions = exportAudioOptions(settings);
+  const targetRate = audioOptions.sampleRate;
+  const profile = EXPORT_PROFILES[settings.profile] ? settings.profile : "default";
+  const speaker = userCode || "speaker"; // layouts with per-speaker paths and ids need a non-empty name
+  const perSessionGain = settings.normalizeMode !== "off" && settings.normalizeScope === "session";
+  const zip = createZipWriter();
+
+  // the master recording is what Kaldi segments point into; the other trainer layouts only need the clips
+  const writesMaster = profile === "default" || profile === "kaldi";
+  const master = createAudioStream(audioOptions);
+  const masterBody = { chunks: [], crc: 0, size: 0 };
+  const appendMaster = (bytes) => {
+    for (const b of bytes) { masterBody.crc = crc32(b, masterBody.crc); masterBody.size += b.length; masterBody.chunks.push(new Blob([b])); }
+  };
+
+  const baseColumns = ["file","sentence_index","text","normalized_text","id","session_id","user_code","duration_sec","offset_start_sec","offset_end_sec","take_started_at","cut_start_sec","cut_end_sec","refined_start_sec","refined_end_sec","peak_dbfs","rms_dbfs","clipped_samples","snr_db","dc_offset","speech_ratio","qc_flags","lufs_before","lufs_after","gain_db","true_peak_dbtp"];
+  // passthrough fields from the script become extra columns (prefixed when they clash with a built-in one)
+  const metaFields = [...new Set(sentences.flatMap((s) => Object.keys(s.meta || {})))];
+  const metaColumnNames = metaFields.map((f) => (baseColumns.includes(f) ? `meta_${f}` : f));
+  const metaRows = [[...baseColumns, ...metaColumnNames].join(",")];
+  const qcClips = [];
+  const records = [];
+  const usedNames = new Set(continueFrom?.names ?? []);
+  const firstClipNumber = (continueFrom?.clipCount ?? 0) + 1;
+  const timelineStartSec = continueFrom?.timelineEndSec ?? 0;
+  let offsetSamples = Math.round(timelineStartSec * targetRate); // position on the timeline shared by a chain of exports
+  let masterSamples = 0; // position inside this archive's master recording
+  const exportedTakes = [];
+  const rawTakes = [];
+  let pending = [];
+  let pendingSession = null;
+
+  const dbText = (v, digits = 2) => (Number.isFinite(v) ? v.toFixed(digits) : "");
+  const takeSec = (n) => (n / targetRate).toFixed(3);
+
+  const writeClip = (seg) => {
+    const n = firstClipNumber + records.length;
+    const sentenceObj = sentences[seg.idx] ?? { text: "", id: null };
+    const sentenceText = sentenceObj.text ?? "";
+    const sentenceId = sentenceObj.id ?? "";
+    const name = uniqueName(clipBaseName(settings.clipNameTemplate, { n, idx: seg.idx, id: sentenceObj.id, speaker, session: seg.sessionId }), usedNames);
+    const clipPath = profileClipPath(profile, { speaker, name, ext: master.ext, sampleRate: targetRate });
+    if (clipPath) zip.add(clipPath, encodeAudio(seg.pcm, audioOptions).parts);
+    if (writesMaster) appendMaster(master.push(seg.pcm));
+    const fname = clipPath ?? masterPath(master.ext);
+    const durationSec = seg.pcm.length / targetRate;
+    const startSec = offsetSamples / targetRate;
+    const endSec = (offsetSamples + seg.pcm.length) / targetRate;
+    records.push({ name, file: fname, text: sentenceText, normalized: sentenceObj.normalized ?? "", id: sentenceObj.id ?? null, idx: seg.idx, sessionId: seg.sessionId, startSec, endSec, masterStartSec: masterSamples / targetRate, masterEndSec: (masterSamples + seg.pcm.length) / targetRate, durationSec, meta: sentenceObj.meta });
+    const qc = seg.qc;
+    const flags = qcFlags(qc, settings);
+    qcClips.push({ file: fname, sentence_index: seg.idx, session_id: seg.sessionId, ...qc, flags, lufsBefore: seg.lufsBefore, lufsAfter: seg.lufsAfter, gainDb: seg.gainDb, truePeakDbtp: seg.truePeakDbtp });
+    metaRows.push([fname, seg.idx, JSON.stringify(sentenceText), JSON.stringify(sentenceObj.normalized ?? ""), JSON.stringify(sentenceId), seg.sessionId, userCode, durationSec.toFixed(3), startSec.toFixed(3), endSec.toFixed(3), seg.takeStartedAt, takeSec(seg.cutStart), takeSec(seg.cutEnd), takeSec(seg.refinedStart), takeSec(seg.refinedEnd),
+      qc.peakDbfs.toFixed(2), qc.rmsDbfs.toFixed(2), qc.clippedSamples, qc.snrDb.toFixed(1), qc.dcOffset.toFixed(5), qc.speechRatio.toFixed(3), flags.join("|"),
+      dbText(seg.lufsBefore), dbText(seg.lufsAfter), seg.gainDb.toFixed(2), dbText(seg.truePeakDbtp),
+      ...metaFields.map((f) => { const v = sentenceObj.meta?.[f]; return JSON.stringify(v == null ? "" : typeof v === "object" ? JSON.stringify(v) : String(v)); })].join(","));
+    offsetSamples += seg.pcm.length;
+    masterSamples += seg.pcm.length;
+  };
+
+  const flush = () => {
+    for (const seg of normalizeSegments(pending, targetRate, settings)) writeClip(seg);
+    pending = [];
+  };
+
+  return {
+    sampleRate: targetRate,
+    // Cut one take (decoded to sampleRate) into clips and write them; takes must arrive in chronological order.
+    // raw ({ bytes, mimeType }) is the take's recording as stored, written to takes/ when includeRawTakes is set.
+    // Returns the number of clips written so far.
+    addTake(take, pcm, raw = null) {
+      const segs = selectSegmentsForExport(cutTake({ take, pcm, sampleRate: targetRate, allLogs: log, sentencesLen: sentences.length, settings }), review)
+        .filter((s) => !sentences[s.idx]?.skipped);
+      exportedTakes.push(takeKey(take));
+      if (settings.includeRawTakes && raw) {
+        const file = rawTakePath(take, raw.mimeType);
+        zip.add(file, raw.bytes);
+        rawTakes.push(rawTakeEntry(take, file, raw.mimeType));
+      }
+      if (take.sessionId !== pendingSession) flush();
+      pendingSession = take.sessionId;
+      // QC measures the recording as captured, so it runs before any normalization gain
+      for (const s of segs) {
+        const slice = pcm.slice(s.sampleStart, s.sampleEnd);
+        pending.push({ pcm: slice, qc: analyzeClip(slice, targetRate, settings.silenceMarginDb), idx: s.idx, sessionId: take.sessionId, durationSec: s.durationSec, takeStartedAt: take.startedAt, cutStart: s.cutStart, cutEnd: s.cutEnd, refinedStart: s.sampleStart, refinedEnd: s.sampleEnd });
+      }
+      if (!perSessionGain) flush();
+      return records.length;
+    },
+    // Write the master, room tones and index files; resolves to null when every clip was rejected.
+    // continuation is what a later delta export needs to carry on from this one.
+    async finish() {
+      flush();
+      if (!records.length) return null;
+      if (writesMaster) {
+        const { header, frames } = master.end();
+        appendMaster(frames);
+        zip.addParts(masterPath(master.ext), [header, ...masterBody.chunks], { size: header.length + masterBody.size, crc: crc32Combine(crc32(header), masterBody.crc, masterBody.size) });
+      }
+      const roomTones = [];
+      for (const s of sessions) {
+        if (!s.calibration?.blob) continue;
+        const file = `audio/room_tone/${s.id}.wav`;
+        zip.add(file, new Uint8Array(await s.calibration.blob.arrayBuffer()));
+        roomTones.push({ session_id: s.id, file, noise_floor_dbfs: s.calibration.noiseFloorDbfs, peak_dbfs: s.calibration.peakDbfs, too_noisy: s.calibration.tooNoisy, measured_at: s.calibration.measuredAt });
+      }
+
+      // events: include only navigation and recording markers
+      const eventsRows = [["ts","action","index","session_id","user_code","to"].join(",")];
+      log.forEach((e) => {
+        if ([...NAV_ACTIONS, "record_start", "record_stop", "session_started"].includes(e.action)) {
+          eventsRows.push([e.ts, e.action, e.index ?? "", e.sessionId ?? "", userCode, e.to ?? ""].join(","));
+        }
+      });
+
+      zip.add("log.jsonl", log.map((e) => JSON.stringify(e)).join("\n"));
+      zip.add(EXPORT_PROFILES[profile].fullMetadata, metaRows.join("\n"));
+      for (const [path, contents] of Object.entries(profileIndexFiles(profile, records, { speaker, ext: master.ext }))) zip.add(path, contents);
+      zip.add("events.csv", eventsRows.join("\n"));
+      if (speakerProfile) {
+        const keys = [...new Set([...(speakerProfile.fields ?? []).map((f) => f.key), ...Object.keys(speakerProfile.profile ?? {})])];
+        const consent = speakerProfile.consent ?? null;
+        zip.add("speaker.json", JSON.stringify({ speaker_id: userCode, ...Object.fromEntries(keys.map((k) => [k, speakerProfile.profile?.[k] ?? ""])), consent: consent && { version: consent.version, text: consent.text, accepted_at: consent.acceptedAt }, updated_at: speakerProfile.updatedAt ?? null }, null, 2));
+        const csvCell = (v) => JSON.stringify(String(v ?? ""));
+        zip.add("speakers.csv", [["speaker_id", ...keys, "consent_version", "consent_accepted_at"].join(","),
+          [csvCell(userCode), ...keys.map((k) => csvCell(speakerProfile.profile?.[k])), csvCell(consent?.version), csvCell(consent?.acceptedAt)].join(",")].join("\n"));
+      }
+      if (project) zip.add("project.json", JSON.stringify({ script_id: scriptId, project_name: projectName || null, ...project, prompts: sentences }, null, 2));
+      if (rawTakes.length) zip.add("takes.json", JSON.stringify(rawTakes, null, 2));
+      const skipped = sentences.map((s, idx) => ({ ...s, idx })).filter((s) => s.skipped);
+      if (skipped.length) {
+        zip.add("skipped.csv", [["sentence_index","id","text","reason","skipped_at"].join(","),
+          ...skipped.map((s) => [s.idx, JSON.stringify(s.id ?? ""), JSON.stringify(s.text ?? ""), s.skipped, s.skippedAt ?? ""].join(","))].join("\n"));
+      }
+      const thresholds = Object.fromEntries(Object.entries(settings).filter(([k]) => k.startsWith("qc")));
+      const report = {
+        generated_at: new Date().toISOString(),
+        thresholds,
+        summary: { clips: qcClips.length, flagged: qcClips.filter((c) => c.flags.length).length },
+        room_tone: roomTones,
+        clips: qcClips,
+      };
+      zip.add("qc_report.json", JSON.stringify(report, null, 2));
+      const manifest = {
+        export_id: exportId ?? null,
+        // the clip names already taken, so a rebuilt delta export de-duplicates names as this one did
+        extends: continueFrom ? { export_id: continueFrom.exportId, generated_at: continueFrom.generatedAt, clip_names: continueFrom.names ?? [] } : null,
+        generated_at: report.generated_at,
+        project: projectName || null,
+        script_id: scriptId,
+        user_code: userCode,
+        assignment,
+        profile,
+        audio: { format: master.ext, sample_rate: targetRate, bit_depth: master.bitDepth, sample_format: master.bitDepth === 32 ? "float" : "int", channels: 1 },
+        clips: records.length,
+        consent_version: speakerProfile?.consent?.version ?? null,
+        skipped_sentences: skipped.length,
+        first_clip_number: firstClipNumber,
+        timeline: { start_sec: timelineStartSec, end_sec: offsetSamples / targetRate },
+        takes: exportedTakes,
+        raw_takes: rawTakes.length,
+        export_settings: settings,
+      };
+      zip.add("manifest.json", JSON.stringify(manifest, null, 2));
+      const continuation = { clipCount: firstClipNumber - 1 + records.length, timelineEndSec: offsetSamples / targetRate, names: [...usedNames] };
+      return { blob: zip.finish(), report, manifest, continuation };
+    },
+  };
+}
+
+// --- Dataset import --------------------------------------------------------------
+// Reading a dataset ZIP back, so a Code's script, sessions and log can be restored from it (another machine, cleared
+// browser storage). The archive is read lazily from the File: only the entries asked for are loaded.
+
+// Entries of a ZIP archive (stored or deflated; no ZIP64) as { path: { size, read() -> Promise<Uint8Array> } }
+export async function readZip(blob) {
+  const tailLength = Math.min(blob.size, 22 + 0xffff);
+  const tail = new DataView(await blob.slice(blob.size - tailLength).arrayBuffer());
+  let end = -1;
+  for (let i = tailLength - 22; i >= 0 && end < 0; i--) if (tail.getUint32(i, true) === 0x06054b50) end = i;
+  if (end < 0) throw new Error("Not a ZIP archive.");
+  const count = tail.getUint16(end + 10, true);
+  const centralOffset = tail.getUint32(end + 16, true);
+  if (count === 0xffff || centralOffset === 0xffffffff) throw new Error("ZIP64 archives are not supported.");
+  const central = new DataView(await blob.slice(centralOffset, centralOffset + tail.getUint32(end + 12, true)).arrayBuffer());
+  const decoder = new TextDecoder();
+  const entries = {};
+  for (let p = 0, n = 0; n < count; n++) {
+    if (central.getUint32(p, true) !== 0x02014b50) throw new Error("The ZIP archive is damaged (central directory).");
+    const method = central.getUint16(p + 10, true);
+    const compressedSize = central.getUint32(p + 20, true);
+    const nameLength = central.getUint16(p + 28, true);
+    const offset = central.getUint32(p + 42, true);
+    const path = decoder.decode(new Uint8Array(central.buffer, p + 46, nameLength));
+    const size = central.getUint32(p + 24, true);
+    p += 46 + nameLength + central.getUint16(p + 30, true) + central.getUint16(p + 32, true);
+    if (path.endsWith("/")) continue;
+    entries[path] = {
+      size,
+      async read() {
+        const local = new DataView(await blob.slice(offset, offset + 30).arrayBuffer());
+        const start = offset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+        const data = blob.slice(start, start + compressedSize);
+        if (method === 0) return new Uint8Array(await data.arrayBuffer());
+        if (method === 8) return new Uint8Array(await new Response(data.stream().pipeThrough(new DecompressionStream("deflate-raw"))).arrayBuffer());
+        throw new Error(`${path}: unsupported ZIP compression method ${method}.`);
+      },
+    };
+  }
+  return entries;
+}
+
+// Rows of a full metadata CSV as createDatasetBuilder writes it (text cells JSON-quoted), keyed by the header
+export function parseMetadataCsv(text) {
+  const parseLine = (line) => {
+    const cells = [];
+    for (let i = 0; i <= line.length;) {
+      if (line[i] === '"') {
+        let j = i + 1;
+        while (j < line.length && line[j] !== '"') j += line[j] === "\\" ? 2 : 1;
+        cells.push(JSON.parse(line.slice(i, j + 1)));
+        i = j + 2;
+      } else {
+        const comma = line.indexOf(",", i);
+        const stop = comma < 0 ? line.length : comma;
+        cells.push(line.slice(i, stop));
+        i = stop + 1;
+      }
+    }
+    return cells;
+  };
+  const [header, ...rows] = String(text ?? "").split(/\r?\n/).filter((l) => l.trim()).map(parseLine);
+  return rows.map((cells) => Object.fromEntries((header ?? []).map((h, k) => [h, cells[k] ?? ""])));
+}
+
+// The takes a dataset was cut from (manifest.takes), rebuilt as far as the ZIP allows: timing and sample stamps come
+// from the log's record_start / record_stop, and each clip's place inside its take from refined_start_sec and
+// refined_end_sec. Clips that only exist inside the master recording (Kaldi) carry masterStartSec instead of a file.
+// Audio the export left out (rejected segments, trimmed silence) isn't in the ZIP, so those stretches stay silent.
+export function datasetImportTakes({ manifest, metadata, log }) {
+  const master = masterPath(manifest.audio?.format);
+  const timelineStartSec = manifest.timeline?.start_sec ?? 0;
+  return (manifest.takes ?? []).map((key) => {
+    const sep = key.indexOf("::");
+    const sessionId = key.slice(0, sep);
+    const startedAt = key.slice(sep + 2);
+    const t0 = new Date(startedAt).getTime();
+    const after = log.filter((e) => e.sessionId === sessionId && new Date(e.ts).getTime() >= t0);
+    const start = after.find((e) => e.action === "record_start");
+    const stop = after.find((e) => e.action === "record_stop");
+    const clips = metadata.filter((r) => r.session_id === sessionId && r.take_started_at === startedAt).map((r) => ({
+      file: r.file === master ? null : r.file,
+      masterStartSec: r.file === master ? Number(r.offset_start_sec) - timelineStartSec : null,
+      sentenceIndex: Number(r.sentence_index),
+      takeStartSec: Number(r.refined_start_sec),
+      takeEndSec: Number(r.refined_end_sec),
+      gainDb: Number(r.gain_db) || 0,
+    }));
+    const clipsEndSec = Math.max(0, ...clips.map((c) => c.takeEndSec));
+    const stamped = start?.sampleRate > 0 && Number.isFinite(stop?.samples);
+    const endedAt = stop?.ts ?? new Date(t0 + Math.ceil(clipsEndSec * 1000)).toISOString();
+    const durationSec = Math.max(clipsEndSec, stamped ? stop.samples / start.sampleRate : (new Date(endedAt).getTime() - t0) / 1000);
+    const take = { idx: start?.index ?? clips[0]?.sentenceIndex ?? 0, startedAt, endedAt, sessionId, ...(stamped ? { sampleRate: start.sampleRate, samples: stop.samples } : {}) };
+    return { take, clips, durationSec };
+  });
+}
+
+// Take audio from its clips: each clip's PCM (gain undone) placed at its position, silence elsewhere
+export function assembleTakePcm({ durationSec, clips }, clipPcms, sampleRate) {
+  const out = new Float32Array(Math.ceil(durationSec * sampleRate));
+  clips.forEach((clip, k) => {
+    const pcm = clipPcms[k];
+    if (!pcm) return;
+    const g = 10 ** (-clip.gainDb / 20);
+    const at = Math.round(clip.takeStartSec * sampleRate);
+    const n = Math.min(pcm.length, out.length - at);
+    for (let i = 0; i < n; i++) out[at + i] = pcm[i] * g;
+  });
+  return out;
+}